@@ -0,0 +1,82 @@
+// SL_Budgets — a monthly budget per category, optionally rolling unspent money into the next month
+// A budget on a parent covers everything under it ("TRANSPORT" includes "TRANSPORT > PETROL").
+(function(){
+  const KEY = 'spendlite_budgets_v18';
+  let budgets = null; // category → { amount, rollover }
+
+  function load(){
+    if (budgets) return budgets;
+    try { budgets = JSON.parse(localStorage.getItem(KEY) || '{}') || {}; } catch { budgets = {}; }
+    return budgets;
+  }
+  function save(){
+    try { localStorage.setItem(KEY, JSON.stringify(budgets || {})); } catch {}
+  }
+
+  const get = (cat) => load()[SL_Categories.normalise(cat)] || null;
+  const all = () => Object.entries(load()).map(([cat, b]) => ({ cat, ...b }));
+  const any = () => Object.keys(load()).length > 0;
+
+  // An amount of 0 or less removes the budget
+  function set(cat, { amount, rollover = false } = {}){
+    const key = SL_Categories.normalise(cat);
+    const a = Math.round((Number(amount) || 0) * 100) / 100;
+    if (!key) return;
+    if (a > 0) load()[key] = { amount: a, rollover: !!rollover }; else delete load()[key];
+    save();
+  }
+
+  // Follow a category rename/merge (to = null drops the budgets under `from`); an existing target budget wins
+  function rebase(from, to){
+    const b = load();
+    for (const key of Object.keys(b)){
+      if (!SL_Categories.isWithin(key, from)) continue;
+      const moved = b[key];
+      delete b[key];
+      if (to){
+        const next = SL_Categories.rebase(key, from, to);
+        if (!b[next]) b[next] = moved;
+      }
+    }
+    save();
+  }
+
+  function addMonths(ym, n){
+    const [y, m] = ym.split('-').map(Number);
+    const d = new Date(y, m - 1 + n, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  // spentByMonth: Map('YYYY-MM' → amount spent in this category that month)
+  // dataEnd: date of the latest transaction loaded. A month is still in progress up to today, or up to
+  // dataEnd when the statements stop inside it, and is projected to its end from the days seen so far.
+  // → { amount, carried, available, spent, remaining, pct, projected, status: 'ok' | 'trending' | 'over' } or null
+  function status(cat, month, spentByMonth, today = new Date(), dataEnd = null){
+    const b = get(cat);
+    if (!b || !month) return null;
+    let carried = 0;
+    if (b.rollover){
+      const first = [...spentByMonth.keys()].sort()[0];
+      for (let m = first; m && m < month; m = addMonths(m, 1)){
+        carried = Math.max(0, carried + b.amount - (spentByMonth.get(m) || 0));
+      }
+    }
+    const available = b.amount + carried;
+    const spent = spentByMonth.get(month) || 0;
+    const [y, mo] = month.split('-').map(Number);
+    const inMonth = (d) => d && d.getFullYear() === y && d.getMonth() + 1 === mo;
+    const daysInMonth = new Date(y, mo, 0).getDate();
+    const seen = inMonth(today) ? today.getDate() : (inMonth(dataEnd) ? dataEnd.getDate() : daysInMonth);
+    const projected = spent / Math.max(1, seen) * daysInMonth;
+    const state = spent > available ? 'over' : (projected > available ? 'trending' : 'ok');
+    return {
+      amount: b.amount, carried, available, spent,
+      remaining: available - spent,
+      pct: available ? spent / available * 100 : 0,
+      projected,
+      status: state
+    };
+  }
+
+  window.SL_Budgets = { get, set, all, any, rebase, status, addMonths };
+})();
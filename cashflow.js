@@ -0,0 +1,51 @@
+// SL_CashFlow — every transaction is an expense, income or a transfer between our own accounts
+//   income    anything under INCOME, or money in that has no category yet (salary, interest)
+//   transfer  anything under TRANSFERS, or one side of a pair found by SL_Transfers
+//   expense   everything else; money in under an expense category is a refund and reduces that category
+(function(){
+  const INCOME = 'INCOME';
+  const TRANSFERS = 'TRANSFERS';
+
+  function kind(t){
+    const cat = t.category || 'UNCATEGORISED';
+    if (t.transfer || SL_Categories.isWithin(cat, TRANSFERS) || SL_Categories.isWithin(cat, 'TRANSFER')) return 'transfer';
+    if (SL_Categories.isWithin(cat, INCOME)) return 'income';
+    if (cat === 'UNCATEGORISED' && Number(t.amount) < 0) return 'income';
+    return 'expense';
+  }
+
+  // The amount the way its table shows it: spending positive for expenses, money received positive for income
+  function signed(t, k = kind(t)){
+    const a = Number(t.amount) || 0;
+    return k === 'income' ? -a : a;
+  }
+
+  // → { income, expenses, refunds, transfers, net, savingsRate (0..1, null without income), count }
+  function summary(txns){
+    let income = 0, expenses = 0, refunds = 0, transfers = 0;
+    for (const t of txns){
+      const k = kind(t);
+      const a = Number(t.amount) || 0;
+      if (k === 'transfer') { if (!t.transfer || a > 0) transfers += Math.abs(a); } // a detected pair counts once
+      else if (k === 'income') income -= a;
+      else { expenses += a; if (a < 0) refunds -= a; }
+    }
+    const net = income - expenses;
+    return { income, expenses, refunds, transfers, net, savingsRate: income > 0 ? net / income : null, count: txns.length };
+  }
+
+  // One summary per calendar month, oldest first: [{ month: 'YYYY-MM', …summary }]
+  function byMonth(txns){
+    const groups = new Map();
+    for (const t of txns){
+      const d = parseDateSmart(t.date);
+      if (!d || isNaN(d)) continue;
+      const ym = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+      if (!groups.has(ym)) groups.set(ym, []);
+      groups.get(ym).push(t);
+    }
+    return [...groups.keys()].sort().map(month => ({ month, ...summary(groups.get(month)) }));
+  }
+
+  window.SL_CashFlow = { INCOME, TRANSFERS, kind, signed, summary, byMonth };
+})();
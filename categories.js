@@ -0,0 +1,127 @@
+// SL_Categories — hierarchical category names: "TRANSPORT > PETROL" is PETROL under TRANSPORT
+// A category string is its full path; every level above it exists implicitly.
+// Colour and icon per category live in localStorage; a child without its own inherits its parent's.
+(function(){
+  const SEP = ' > ';
+  const META_KEY = 'spendlite_category_meta_v17';
+  let meta = null; // category → { color, icon }
+
+  // "transport>petrol " → "TRANSPORT > PETROL"
+  function normalise(cat){
+    return String(cat || '').split('>').map(p => p.trim().toUpperCase()).filter(Boolean).join(SEP);
+  }
+
+  const parts = (cat) => normalise(cat).split(SEP).filter(Boolean);
+  const depth = (cat) => Math.max(0, parts(cat).length - 1);
+  const leaf = (cat) => { const p = parts(cat); return p[p.length - 1] || ''; };
+
+  function parent(cat){
+    const p = parts(cat);
+    return p.length > 1 ? p.slice(0, -1).join(SEP) : '';
+  }
+
+  // "A > B > C" → ["A", "A > B", "A > B > C"]
+  function lineage(cat){
+    const p = parts(cat);
+    return p.map((_, i) => p.slice(0, i + 1).join(SEP));
+  }
+
+  // True for the category itself and everything below it
+  function isWithin(cat, ancestor){
+    const c = normalise(cat), a = normalise(ancestor);
+    return !!a && (c === a || c.startsWith(a + SEP));
+  }
+
+  // Every category plus the parents it implies, parents first: A, A > B, A > B > C, BILLS …
+  function withAncestors(cats){
+    const all = new Set();
+    for (const c of cats) lineage(c).forEach(x => all.add(x));
+    return [...all].sort(compare);
+  }
+
+  // Sort so children follow their parent ("A > B" before "AB")
+  function compare(a, b){
+    const pa = parts(a), pb = parts(b);
+    for (let i = 0; i < Math.min(pa.length, pb.length); i++){
+      const c = pa[i].localeCompare(pb[i], undefined, { sensitivity: 'base' });
+      if (c) return c;
+    }
+    return pa.length - pb.length;
+  }
+
+  // [[category, amount]] → tree of { cat, name, own, total, count, children } sorted by total
+  function tree(rows){
+    const nodes = new Map();
+    const node = (cat) => {
+      if (!nodes.has(cat)) nodes.set(cat, { cat, name: leaf(cat), own: 0, total: 0, children: [] });
+      return nodes.get(cat);
+    };
+    const roots = [];
+    for (const [cat, amount] of rows){
+      const chain = lineage(cat);
+      chain.forEach((c, i) => {
+        const isNew = !nodes.has(c);
+        const n = node(c);
+        n.total += amount;
+        if (i === chain.length - 1) n.own += amount;
+        if (isNew) (i ? nodes.get(chain[i - 1]).children : roots).push(n);
+      });
+    }
+    const sortDeep = (list) => { list.sort((a, b) => b.total - a.total); list.forEach(n => sortDeep(n.children)); return list; };
+    return sortDeep(roots);
+  }
+
+  // "TRANSPORT > FUEL" with from "TRANSPORT" and to "TRAVEL" → "TRAVEL > FUEL"; outside `from` → unchanged
+  function rebase(cat, from, to){
+    const c = normalise(cat), f = normalise(from);
+    return isWithin(c, f) ? normalise(to) + c.slice(f.length) : c;
+  }
+
+  // --- colour & icon ---
+  function loadMeta(){
+    if (meta) return meta;
+    try { meta = JSON.parse(localStorage.getItem(META_KEY) || '{}') || {}; } catch { meta = {}; }
+    return meta;
+  }
+  function saveMeta(){
+    try { localStorage.setItem(META_KEY, JSON.stringify(meta || {})); } catch {}
+  }
+
+  function getMeta(cat, { inherit = true } = {}){
+    const all = loadMeta();
+    const out = {};
+    for (const c of inherit ? lineage(cat).reverse() : [normalise(cat)]){
+      const m = all[c];
+      if (!m) continue;
+      if (!out.color && m.color) out.color = m.color;
+      if (!out.icon && m.icon) out.icon = m.icon;
+    }
+    return out;
+  }
+
+  // Only #rrggbb colours are kept (they end up in a style attribute); icons are a few characters, usually an emoji.
+  function setMeta(cat, { color, icon } = {}){
+    const all = loadMeta();
+    const key = normalise(cat);
+    const next = { ...(all[key] || {}) };
+    if (color !== undefined) next.color = /^#[0-9a-f]{6}$/i.test(color || '') ? color.toLowerCase() : '';
+    if (icon !== undefined) next.icon = Array.from(String(icon || '').trim()).slice(0, 4).join('');
+    if (!next.color) delete next.color;
+    if (!next.icon) delete next.icon;
+    if (Object.keys(next).length) all[key] = next; else delete all[key];
+    saveMeta();
+  }
+
+  function rebaseMeta(from, to){
+    const all = loadMeta();
+    for (const key of Object.keys(all)){
+      if (!isWithin(key, from)) continue;
+      const m = all[key];
+      delete all[key];
+      if (to) all[rebase(key, from, to)] = { ...m, ...(all[rebase(key, from, to)] || {}) };
+    }
+    saveMeta();
+  }
+
+  window.SL_Categories = { SEP, normalise, parts, depth, leaf, parent, lineage, isWithin, withAncestors, compare, tree, rebase, getMeta, setMeta, rebaseMeta };
+})();
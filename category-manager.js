@@ -0,0 +1,83 @@
+// Category manager — list every category with counts and totals; rename/merge, delete with reassignment,
+// colour and icon. The app does the rewriting (rules text, overrides, imported categories) in the callbacks.
+(function(){
+  // open({ getRows: () => [{ cat, count, total, rules }], onRename(from, to), onDelete(cat, to), onChange() })
+  function open({ getRows, onRename, onDelete, onChange }){
+    const modal = SL_Modal.open({
+      title: 'Manage categories',
+      wide: true,
+      body: '<div class="cm-wrap"></div>',
+      actions: [{ label: 'Done', primary: true }]
+    });
+    const wrap = modal.body.querySelector('.cm-wrap');
+
+    function render(){
+      const rows = getRows();
+      const known = new Set(rows.map(r => r.cat));
+      wrap.innerHTML = `<p class="sl-modal-note">Renaming onto an existing name merges the two. Rules, manual picks and imported categories are all rewritten; sub-categories move with their parent.</p>
+        <table class="zebra cm-table"><thead><tr><th>Colour</th><th>Icon</th><th>Category</th><th class="num">Txns</th><th class="num">Total</th><th class="num">Rules</th><th></th></tr></thead><tbody>
+        ${rows.map((r, i) => {
+          const own = SL_Categories.getMeta(r.cat, { inherit: false });
+          const fixed = r.cat === 'UNCATEGORISED';
+          return `<tr data-i="${i}">
+            <td class="cm-color"><input type="color" data-field="color" value="${escapeHtml(own.color || '#cccccc')}" aria-label="Colour"${fixed ? ' disabled' : ''}>${own.color ? '<button data-act="nocolor" title="Remove colour" aria-label="Remove colour">×</button>' : ''}</td>
+            <td><input class="cm-icon" data-field="icon" value="${escapeHtml(own.icon || '')}" placeholder="🙂" aria-label="Icon"${fixed ? ' disabled' : ''}></td>
+            <td style="padding-left:${8 + SL_Categories.depth(r.cat) * 18}px" title="${escapeHtml(toTitleCase(r.cat))}">${escapeHtml(toTitleCase(SL_Categories.depth(r.cat) ? SL_Categories.leaf(r.cat) : r.cat))}</td>
+            <td class="num">${r.count}</td><td class="num">${r.total.toFixed(2)}</td><td class="num">${r.rules}</td>
+            <td class="cm-actions">${fixed ? '' : `<button data-act="rename">Rename…</button><button data-act="delete" class="secondary">Delete…</button>`}</td>
+          </tr>`;
+        }).join('')}</tbody></table>`;
+
+      wrap.querySelectorAll('tr[data-i]').forEach(tr => {
+        const row = rows[Number(tr.dataset.i)];
+        tr.querySelectorAll('[data-field]').forEach(input => {
+          input.addEventListener('change', () => {
+            SL_Categories.setMeta(row.cat, { [input.dataset.field]: input.value });
+            onChange && onChange();
+            render();
+          });
+        });
+        const nocolor = tr.querySelector('[data-act="nocolor"]');
+        if (nocolor) nocolor.addEventListener('click', () => {
+          SL_Categories.setMeta(row.cat, { color: '' });
+          onChange && onChange();
+          render();
+        });
+        const rename = tr.querySelector('[data-act="rename"]');
+        if (rename) rename.addEventListener('click', () => {
+          const name = prompt(`Rename "${toTitleCase(row.cat)}" to (use PARENT > CHILD to nest):`, row.cat);
+          const to = SL_Categories.normalise(name);
+          if (!to || to === row.cat) return;
+          if (SL_Categories.isWithin(to, row.cat)) { alert('A category cannot be moved inside itself.'); return; }
+          if (known.has(to) && !confirm(`"${toTitleCase(to)}" already exists. Merge "${toTitleCase(row.cat)}" into it?`)) return;
+          onRename(row.cat, to);
+          render();
+        });
+        const del = tr.querySelector('[data-act="delete"]');
+        if (del) del.addEventListener('click', () => confirmDelete(row, rows));
+      });
+    }
+
+    function confirmDelete(row, rows){
+      const targets = rows.filter(r => !SL_Categories.isWithin(r.cat, row.cat) && r.cat !== 'UNCATEGORISED');
+      const d = SL_Modal.open({
+        title: `Delete ${toTitleCase(row.cat)}`,
+        body: `<p class="sl-modal-note">${row.count} transaction${row.count === 1 ? '' : 's'} and ${row.rules} rule${row.rules === 1 ? '' : 's'} use this category or one below it.</p>
+          <label>Move them to <select class="cm-target"><option value="UNCATEGORISED">Uncategorised (remove the rules)</option>
+          ${targets.map(r => `<option value="${escapeHtml(r.cat)}">${escapeHtml(toTitleCase(r.cat))}</option>`).join('')}</select></label>`,
+        actions: [
+          { label: 'Cancel' },
+          { label: 'Delete', primary: true, onClick: () => {
+            onDelete(row.cat, d.body.querySelector('.cm-target').value);
+            render();
+          } }
+        ]
+      });
+    }
+
+    render();
+    return modal;
+  }
+
+  window.SL_CategoryManager = { open };
+})();
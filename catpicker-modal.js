@@ -30,14 +30,23 @@
 
   function buildList(el, cats, picked){
     el.innerHTML = '';
+    const shown = new Set();
     const mk = (name)=>{
       const div = document.createElement('div');
       div.className = 'catpicker-item';
       div.setAttribute('role','option');
       div.dataset.name = name;
       if(name === picked) div.setAttribute('aria-selected','true');
-      const span = document.createElement('span'); span.textContent = name;
-      const badge = document.createElement('span'); badge.className = 'catpicker-badge'; badge.textContent = '';
+      // "PARENT > CHILD" right under its parent shows as an indented CHILD; otherwise the full path
+      const parts = name.split(' > ');
+      const nested = parts.length > 1 && shown.has(parts.slice(0, -1).join(' > '));
+      shown.add(name);
+      if (nested) { div.classList.add('catpicker-child'); div.style.marginLeft = `${(parts.length - 1) * 18}px`; div.title = name; }
+      const span = document.createElement('span'); span.textContent = nested ? parts[parts.length - 1] : name;
+      const meta = window.SL_Categories ? SL_Categories.getMeta(name) : {};
+      if (meta.color) { span.className = 'category-name has-color'; span.style.setProperty('--cat-color', meta.color); }
+      const badge = document.createElement('span'); badge.className = 'catpicker-badge'; badge.textContent = meta.icon || '';
+      if (!meta.icon) badge.style.display = 'none';
       div.appendChild(span); div.appendChild(badge);
       div.addEventListener('click', ()=>{
         const nm = (div.dataset.name||'').toLowerCase().trim();
@@ -0,0 +1,113 @@
+// SL_Charts — small SVG chart builders (no library): donut, horizontal bars, stacked columns, lines.
+// Each returns an SVG string. Items carry a `key`; clickable shapes get data-key="…" and a <title> tooltip.
+(function(){
+  const PALETTE = ['#7a5cff', '#ff4fb3', '#20b2aa', '#ffa62b', '#4f9dff', '#8bc34a', '#e8505b', '#9c6ade', '#26c6da', '#f4c542'];
+  const color = (item, i) => item.color || PALETTE[i % PALETTE.length];
+  const fmt = (v) => Number(v).toFixed(2);
+  const tip = (text) => `<title>${escapeHtml(text)}</title>`;
+  const attrs = (item) => item.key != null ? ` data-key="${escapeHtml(item.key)}" class="chart-hit"` : '';
+
+  // items: [{ key, label, value, color }] — values ≤ 0 are left out
+  function donut(items, { size = 220, hole = 0.58 } = {}){
+    const list = items.filter(x => x.value > 0);
+    const total = list.reduce((a, x) => a + x.value, 0);
+    const r = size / 2, ri = r * hole;
+    if (!total) return '';
+    const pt = (a, rad) => `${(r + rad * Math.sin(a)).toFixed(2)},${(r - rad * Math.cos(a)).toFixed(2)}`;
+    let angle = 0;
+    const paths = list.map((x, i) => {
+      const sweep = Math.min(x.value / total, 0.9999) * Math.PI * 2;
+      const a0 = angle, a1 = angle + sweep;
+      angle = a1;
+      const large = sweep > Math.PI ? 1 : 0;
+      const d = `M${pt(a0, r)} A${r},${r} 0 ${large} 1 ${pt(a1, r)} L${pt(a1, ri)} A${ri},${ri} 0 ${large} 0 ${pt(a0, ri)}Z`;
+      return `<path d="${d}" fill="${color(x, i)}"${attrs(x)}>${tip(`${x.label}: ${fmt(x.value)} (${(x.value / total * 100).toFixed(1)}%)`)}</path>`;
+    }).join('');
+    return `<svg class="chart chart-donut" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img">${paths}` +
+      `<text x="${r}" y="${r - 4}" text-anchor="middle" class="chart-total">${fmt(total)}</text><text x="${r}" y="${r + 14}" text-anchor="middle" class="chart-note">total</text></svg>`;
+  }
+
+  // items: [{ key, label, value, color }] as horizontal bars, largest first
+  function bars(items, { width = 460, row = 22, label = 150 } = {}){
+    const list = items.filter(x => x.value > 0).sort((a, b) => b.value - a.value);
+    const max = Math.max(0, ...list.map(x => x.value));
+    if (!max) return '';
+    const room = width - label - 70;
+    const rows = list.map((x, i) => {
+      const y = i * row, w = Math.max(1, x.value / max * room);
+      return `<g${attrs(x)}>${tip(`${x.label}: ${fmt(x.value)}`)}<text x="${label - 6}" y="${y + row * 0.68}" text-anchor="end">${escapeHtml(x.label)}</text>` +
+        `<rect x="${label}" y="${y + 3}" width="${w.toFixed(1)}" height="${row - 6}" rx="3" fill="${color(x, i)}"/>` +
+        `<text x="${(label + w + 6).toFixed(1)}" y="${y + row * 0.68}" class="chart-note">${fmt(x.value)}</text></g>`;
+    }).join('');
+    return `<svg class="chart chart-bars" width="${width}" height="${list.length * row}" viewBox="0 0 ${width} ${list.length * row}" role="img">${rows}</svg>`;
+  }
+
+  // Y axis ticks at round numbers up to max
+  function ticks(max, count = 4){
+    const raw = max / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw || 1)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw) || raw;
+    const out = [];
+    for (let v = 0; v <= max + step * 0.001; v += step) out.push(v);
+    if (out[out.length - 1] < max) out.push(out[out.length - 1] + step);
+    return out;
+  }
+
+  function axes(yTicks, y, left, width){
+    return yTicks.map(v => `<line x1="${left}" x2="${width}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" class="chart-grid"/>` +
+      `<text x="${left - 4}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end" class="chart-note">${Math.round(v)}</text>`).join('');
+  }
+
+  // labels: x axis labels; stacks: [{ key, label, color, values }] stacked bottom-up, negatives ignored
+  function stacked(labels, stacks, { width = 620, height = 240, left = 48, bottom = 22 } = {}){
+    const totals = labels.map((_, i) => stacks.reduce((a, s) => a + Math.max(0, s.values[i] || 0), 0));
+    const yTicks = ticks(Math.max(0, ...totals));
+    const top = yTicks[yTicks.length - 1] || 1;
+    const plotH = height - bottom - 8;
+    const y = (v) => 8 + plotH - v / top * plotH;
+    const slot = (width - left) / Math.max(1, labels.length);
+    const barW = Math.min(48, slot * 0.7);
+    let body = axes(yTicks, y, left, width);
+    labels.forEach((lab, i) => {
+      const x = left + slot * i + (slot - barW) / 2;
+      let acc = 0;
+      stacks.forEach((s, si) => {
+        const v = Math.max(0, s.values[i] || 0);
+        if (!v) return;
+        body += `<rect x="${x.toFixed(1)}" y="${y(acc + v).toFixed(1)}" width="${barW.toFixed(1)}" height="${(y(acc) - y(acc + v)).toFixed(1)}" fill="${color(s, si)}"${attrs(s)}>${tip(`${s.label}, ${lab}: ${fmt(v)}`)}</rect>`;
+        acc += v;
+      });
+      body += `<text x="${(left + slot * i + slot / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle" class="chart-note">${escapeHtml(lab)}</text>`;
+    });
+    return `<svg class="chart chart-stacked" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">${body}</svg>`;
+  }
+
+  // labels: x axis labels; series: [{ label, values, color, dashed }] — null values end a line early
+  function lines(labels, series, { width = 620, height = 220, left = 48, bottom = 22 } = {}){
+    const all = series.flatMap(s => s.values.filter(v => v != null));
+    const yTicks = ticks(Math.max(0, ...all));
+    const top = yTicks[yTicks.length - 1] || 1;
+    const plotH = height - bottom - 8;
+    const y = (v) => 8 + plotH - Math.max(0, v) / top * plotH;
+    const x = (i) => left + (labels.length > 1 ? i * (width - left - 8) / (labels.length - 1) : (width - left) / 2);
+    let body = axes(yTicks, y, left, width);
+    series.forEach((s, si) => {
+      const pts = s.values.map((v, i) => v == null ? null : `${x(i).toFixed(1)},${y(v).toFixed(1)}`).filter(Boolean);
+      if (!pts.length) return;
+      body += `<polyline points="${pts.join(' ')}" fill="none" stroke="${color(s, si)}" stroke-width="2"${s.dashed ? ' stroke-dasharray="6 4"' : ''}>${tip(s.label)}</polyline>`;
+    });
+    const every = Math.max(1, Math.ceil(labels.length / 8));
+    labels.forEach((lab, i) => {
+      if (i % every && i !== labels.length - 1) return;
+      body += `<text x="${x(i).toFixed(1)}" y="${height - 6}" text-anchor="middle" class="chart-note">${escapeHtml(lab)}</text>`;
+    });
+    return `<svg class="chart chart-lines" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">${body}</svg>`;
+  }
+
+  // Colour swatches with labels; keyed items are clickable like the shapes
+  function legend(items){
+    return `<ul class="chart-legend">${items.map((x, i) => `<li${attrs(x)}><span class="chart-swatch" style="background:${color(x, i)}"${x.dashed ? ' data-dashed' : ''}></span>${escapeHtml(x.label)}</li>`).join('')}</ul>`;
+  }
+
+  window.SL_Charts = { PALETTE, donut, bars, stacked, lines, legend };
+})();
@@ -0,0 +1,80 @@
+// SL_Classifier — offline naive Bayes over description words, merchant and amount size
+// Learns from transactions a rule or a manual override categorised; nothing leaves the browser.
+(function(){
+  const MIN_CONFIDENCE = 0.5;
+  const BUCKETS = [5, 20, 50, 100, 250, 1000];
+  const STOP = new Set(['THE', 'AND', 'PTY', 'LTD', 'CARD', 'VISA', 'EFTPOS', 'POS', 'PURCHASE', 'PAYMENT', 'AU', 'AUS']);
+
+  function amountBucket(amount){
+    const a = Math.abs(Number(amount) || 0);
+    const i = BUCKETS.findIndex(b => a < b);
+    return i === -1 ? `amt:${BUCKETS[BUCKETS.length - 1]}+` : `amt:<${BUCKETS[i]}`;
+  }
+
+  // Words of the description (letters only, so store numbers and dates don't count), the whole
+  // merchant name, the amount size and the direction of the money.
+  function features(t){
+    const words = String(t.description || '').toUpperCase().split(/[^A-Z&]+/).filter(w => w.length > 1 && !STOP.has(w));
+    const out = [...new Set(words)].map(w => `w:${w}`);
+    out.push(`m:${SL_Merchant.normalise(t.description)}`);
+    out.push(amountBucket(t.amount));
+    out.push(t.amount < 0 ? 'type:credit' : 'type:debit');
+    return out;
+  }
+
+  const learnable = (t) => (t.categorySource === 'rule' || t.categorySource === 'override') && t.category && t.category !== 'UNCATEGORISED';
+
+  // model: { classes: Map(cat → { docs, total, counts: Map(feature → n) }), vocab: Set, docs }
+  function train(txns){
+    const classes = new Map();
+    const vocab = new Set();
+    let docs = 0;
+    for (const t of txns){
+      if (!learnable(t)) continue;
+      if (!classes.has(t.category)) classes.set(t.category, { docs: 0, total: 0, counts: new Map() });
+      const c = classes.get(t.category);
+      c.docs++; docs++;
+      for (const f of features(t)){
+        c.counts.set(f, (c.counts.get(f) || 0) + 1);
+        c.total++;
+        vocab.add(f);
+      }
+    }
+    return { classes, vocab, docs };
+  }
+
+  // → { category, confidence } (confidence is the posterior probability, 0..1), or null when the
+  // model has nothing to go on or no class clears MIN_CONFIDENCE.
+  function classify(model, t, minConfidence = MIN_CONFIDENCE){
+    if (!model || model.classes.size < 2) return null;
+    const feats = features(t).filter(f => model.vocab.has(f));
+    if (!feats.some(f => f.startsWith('w:') || f.startsWith('m:'))) return null;
+    const V = model.vocab.size;
+    const scores = [];
+    for (const [cat, c] of model.classes){
+      let s = Math.log(c.docs / model.docs);
+      for (const f of feats) s += Math.log(((c.counts.get(f) || 0) + 1) / (c.total + V));
+      scores.push([cat, s]);
+    }
+    const max = Math.max(...scores.map(x => x[1]));
+    const norm = scores.reduce((acc, [, s]) => acc + Math.exp(s - max), 0);
+    const [category, best] = scores.sort((a, b) => b[1] - a[1])[0];
+    const confidence = Math.exp(best - max) / norm;
+    return confidence >= minConfidence ? { category, confidence } : null;
+  }
+
+  // Suggestions for every uncategorised transaction: Map(txn id → { category, confidence })
+  function suggest(txns){
+    const model = train(txns);
+    const out = new Map();
+    if (model.classes.size < 2) return out;
+    for (const t of txns){
+      if (t.categorySource !== 'none' || !t.id) continue;
+      const s = classify(model, t);
+      if (s) out.set(t.id, s);
+    }
+    return out;
+  }
+
+  window.SL_Classifier = { features, train, classify, suggest };
+})();
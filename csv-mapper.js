@@ -0,0 +1,264 @@
+// CSV Column Mapper — drop-in module with named mapping profiles
+// Uses parseAmount/escapeHtml from script.js at call time.
+(function(){
+  const LS_KEY = 'spendlite_csv_profiles_v1';
+  const FIELDS = [
+    { key: 'date',        label: 'Date',        required: true },
+    { key: 'description', label: 'Description', required: true },
+    { key: 'amount',      label: 'Amount' },
+    { key: 'debit',       label: 'Debit (money out)' },
+    { key: 'credit',      label: 'Credit (money in)' }
+  ];
+
+  const tpl = `
+  <div class="csvmap-backdrop" id="csvmapBackdrop" role="dialog" aria-modal="true" aria-labelledby="csvmapTitle">
+    <div class="csvmap-dialog">
+      <div class="csvmap-header"><h2 class="csvmap-title" id="csvmapTitle">Map CSV columns</h2></div>
+      <div class="csvmap-body">
+        <div class="csvmap-row">
+          <label for="csvmapProfile">Start from profile</label>
+          <select id="csvmapProfile"></select>
+          <button class="csvmap-btn" id="csvmapDeleteProfile" title="Delete the selected profile">Delete</button>
+        </div>
+        <div id="csvmapFields" class="csvmap-fields"></div>
+        <div class="csvmap-row">
+          <label><input type="checkbox" id="csvmapHasHeader"> First row is a header</label>
+          <label><input type="checkbox" id="csvmapNegate"> Debits are negative in this file</label>
+        </div>
+        <div class="csvmap-row">
+          <label for="csvmapName">Save as profile</label>
+          <input id="csvmapName" class="csvmap-name" type="text" placeholder="e.g. Westpac everyday">
+        </div>
+        <div id="csvmapError" class="csvmap-error" role="alert"></div>
+        <div class="csvmap-preview-wrap"><table id="csvmapPreview" class="csvmap-preview"></table></div>
+      </div>
+      <div class="csvmap-actions">
+        <button class="csvmap-btn" id="csvmapCancel">Cancel</button>
+        <button class="csvmap-btn primary" id="csvmapUse">Use mapping</button>
+      </div>
+    </div>
+  </div>`;
+
+  function loadProfiles(){
+    try { return JSON.parse(localStorage.getItem(LS_KEY) || '[]') || []; } catch { return []; }
+  }
+  function storeProfiles(list){
+    try { localStorage.setItem(LS_KEY, JSON.stringify(list)); } catch {}
+  }
+  function listProfiles(){ return loadProfiles(); }
+
+  function saveProfile(profile){
+    if (!profile) return;
+    const list = loadProfiles().filter(p => p.signature !== profile.signature && p.name !== profile.name);
+    list.unshift(profile);
+    storeProfiles(list);
+  }
+  function deleteProfile(name){
+    storeProfiles(loadProfiles().filter(p => p.name !== name));
+  }
+
+  const looksLikeDate = (s) => /^\s*(\d{1,4}[\/\-.]\d{1,2}[\/\-.]\d{2,4}|\d{8})\b/.test(s) ||
+    /\b\d{1,2}\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*,?\s+\d{4}/i.test(s);
+  const looksLikeAmount = (s) => /^\s*\(?[-+]?\$?\s*(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?\)?\s*(CR|DR)?\s*$/i.test(s) && /\d/.test(s);
+
+  // A header row has text cells and no date or amount values in it.
+  function detectHeader(rows){
+    const first = rows[0] || [];
+    const cells = first.map(c => String(c || '').trim()).filter(Boolean);
+    if (!cells.length) return false;
+    return !cells.some(c => looksLikeDate(c) || looksLikeAmount(c));
+  }
+
+  function headerSignature(rows, hasHeader = detectHeader(rows)){
+    const first = rows[0] || [];
+    if (!hasHeader) return `#cols=${first.length}`;
+    return first.map(c => String(c || '').trim().toLowerCase().replace(/\s+/g, ' ')).join('|');
+  }
+
+  // Each profile is matched with the header setting it was saved with (the user may have overridden detectHeader).
+  // A match on header names beats one on the column count alone.
+  function findProfile(rows){
+    const named = headerSignature(rows, true), width = headerSignature(rows, false);
+    const profiles = listProfiles();
+    return profiles.find(p => p.hasHeader && p.signature === named) ||
+      profiles.find(p => !p.hasHeader && p.signature === width) || null;
+  }
+
+  function guessColumns(rows, hasHeader){
+    const cols = { date: null, amount: null, description: null, debit: null, credit: null };
+    const width = Math.max(0, ...rows.slice(0, 20).map(r => r.length));
+    if (hasHeader){
+      const names = (rows[0] || []).map(c => String(c || '').trim().toLowerCase());
+      const pick = (re) => { const i = names.findIndex(n => re.test(n)); return i === -1 ? null : i; };
+      cols.date = pick(/date|posted/);
+      cols.debit = pick(/debit|withdraw|money out|paid out/);
+      cols.credit = pick(/credit|deposit|money in|paid in/);
+      cols.amount = pick(/^amount|amount$|value/);
+      cols.description = pick(/desc|narrat|detail|particular|payee|memo|transaction|merchant/);
+      if (cols.debit != null && cols.credit != null) cols.amount = null;
+    }
+    const sample = rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + 20);
+    const share = (i, test) => sample.filter(r => test(String(r[i] || ''))).length / Math.max(1, sample.length);
+    const free = (i) => !Object.values(cols).includes(i);
+    if (cols.date == null){
+      for (let i = 0; i < width; i++) if (free(i) && share(i, looksLikeDate) > 0.8){ cols.date = i; break; }
+    }
+    if (cols.amount == null && cols.debit == null){
+      for (let i = 0; i < width; i++) if (free(i) && share(i, looksLikeAmount) > 0.8){ cols.amount = i; break; }
+    }
+    if (cols.description == null){
+      let best = null, bestLen = 0;
+      for (let i = 0; i < width; i++){
+        if (!free(i)) continue;
+        const len = sample.reduce((acc, r) => acc + String(r[i] || '').length, 0);
+        if (len > bestLen && share(i, looksLikeAmount) < 0.5){ best = i; bestLen = len; }
+      }
+      cols.description = best;
+    }
+    return cols;
+  }
+
+  function validate(profile){
+    const c = profile.columns || {};
+    if (c.date == null) return 'Pick the date column.';
+    if (c.description == null) return 'Pick the description column.';
+    if (c.amount == null && c.debit == null && c.credit == null) return 'Pick an amount column, or debit/credit columns.';
+    return '';
+  }
+
+  // Turn parsed rows into {date, amount, description}; amounts are positive for money out.
+  function applyMapping(rows, profile){
+    const c = profile.columns;
+    const cell = (r, i) => (i == null ? '' : String(r[i] == null ? '' : r[i]).trim());
+    const txns = [];
+    for (let i = profile.hasHeader ? 1 : 0; i < rows.length; i++){
+      const r = rows[i];
+      if (!r || !r.length) continue;
+      const date = cell(r, c.date);
+      const description = cell(r, c.description);
+      let amount;
+      if (c.amount != null){
+        amount = parseAmount(cell(r, c.amount));
+        if (profile.negate) amount = -amount;
+      } else {
+        amount = Math.abs(parseAmount(cell(r, c.debit))) - Math.abs(parseAmount(cell(r, c.credit)));
+      }
+      if ((date || description) && Number.isFinite(amount) && amount !== 0){
+        txns.push({ date, amount, description });
+      }
+    }
+    return txns;
+  }
+
+  function ensureModal(){
+    if (document.getElementById('csvmapBackdrop')) return;
+    const wrap = document.createElement('div');
+    wrap.innerHTML = tpl;
+    document.body.appendChild(wrap.firstElementChild);
+  }
+
+  function openMappingDialog({rows, profile, onConfirm}){
+    ensureModal();
+    const backdrop = document.getElementById('csvmapBackdrop');
+    const fieldsEl = document.getElementById('csvmapFields');
+    const profileSel = document.getElementById('csvmapProfile');
+    const hasHeaderEl = document.getElementById('csvmapHasHeader');
+    const negateEl = document.getElementById('csvmapNegate');
+    const nameEl = document.getElementById('csvmapName');
+    const errorEl = document.getElementById('csvmapError');
+    const preview = document.getElementById('csvmapPreview');
+
+    const width = Math.max(0, ...rows.slice(0, 20).map(r => r.length));
+    let hasHeader = profile ? profile.hasHeader : detectHeader(rows);
+    let columns = profile ? { ...profile.columns } : guessColumns(rows, hasHeader);
+
+    const colLabel = (i) => {
+      const head = hasHeader ? String(rows[0][i] || '').trim() : '';
+      const sample = String((rows[hasHeader ? 1 : 0] || [])[i] || '').trim().slice(0, 24);
+      return `Column ${i + 1}` + (head ? ` — ${head}` : (sample ? ` (e.g. ${sample})` : ''));
+    };
+
+    const renderFields = () => {
+      fieldsEl.innerHTML = FIELDS.map(f => {
+        let opts = `<option value="">${f.required ? '— choose —' : '— none —'}</option>`;
+        for (let i = 0; i < width; i++){
+          opts += `<option value="${i}"${columns[f.key] === i ? ' selected' : ''}>${escapeHtml(colLabel(i))}</option>`;
+        }
+        return `<label class="csvmap-field"><span>${f.label}</span><select data-field="${f.key}">${opts}</select></label>`;
+      }).join('');
+      fieldsEl.querySelectorAll('select').forEach(sel => {
+        sel.onchange = () => {
+          columns[sel.dataset.field] = sel.value === '' ? null : Number(sel.value);
+          renderPreview();
+        };
+      });
+    };
+
+    const current = () => ({
+      name: nameEl.value.trim(),
+      signature: headerSignature(rows, hasHeader),
+      hasHeader,
+      columns: { ...columns },
+      negate: negateEl.checked
+    });
+
+    const renderPreview = () => {
+      const p = current();
+      const err = validate(p);
+      errorEl.textContent = err;
+      if (err){ preview.innerHTML = ''; return; }
+      const sample = applyMapping(rows.slice(0, (hasHeader ? 1 : 0) + 5), p);
+      preview.innerHTML = '<tr><th>Date</th><th>Amount</th><th>Description</th></tr>' +
+        sample.map(t => `<tr><td>${escapeHtml(t.date)}</td><td class="num">${t.amount.toFixed(2)}</td><td>${escapeHtml(t.description)}</td></tr>`).join('');
+    };
+
+    const fillProfiles = () => {
+      const list = listProfiles();
+      profileSel.innerHTML = '<option value="">(detected columns)</option>' +
+        list.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('');
+      profileSel.value = profile && list.some(p => p.name === profile.name) ? profile.name : '';
+    };
+
+    profileSel.onchange = () => {
+      const p = listProfiles().find(x => x.name === profileSel.value);
+      if (p){
+        hasHeader = p.hasHeader; columns = { ...p.columns }; negateEl.checked = !!p.negate;
+        nameEl.value = p.name;
+      } else {
+        hasHeader = detectHeader(rows); columns = guessColumns(rows, hasHeader); negateEl.checked = false;
+      }
+      hasHeaderEl.checked = hasHeader;
+      renderFields(); renderPreview();
+    };
+    document.getElementById('csvmapDeleteProfile').onclick = () => {
+      const p = listProfiles().find(x => x.name === profileSel.value);
+      if (!p) return;
+      deleteProfile(p.name);
+      fillProfiles(); profileSel.onchange();
+    };
+    hasHeaderEl.onchange = () => { hasHeader = hasHeaderEl.checked; renderFields(); renderPreview(); };
+    negateEl.onchange = renderPreview;
+
+    hasHeaderEl.checked = hasHeader;
+    negateEl.checked = !!(profile && profile.negate);
+    nameEl.value = profile ? profile.name : '';
+    fillProfiles(); renderFields(); renderPreview();
+
+    const close = () => { backdrop.classList.remove('show'); };
+    document.getElementById('csvmapCancel').onclick = close;
+    backdrop.onclick = (e) => { if (e.target === backdrop) close(); };
+    document.getElementById('csvmapUse').onclick = () => {
+      const p = current();
+      const err = validate(p);
+      if (err){ errorEl.textContent = err; return; }
+      if (!p.name) p.name = hasHeader ? `Profile ${new Date().toISOString().slice(0, 10)}` : `${width}-column export`;
+      saveProfile(p);
+      close();
+      onConfirm && onConfirm(p);
+    };
+
+    backdrop.classList.add('show');
+  }
+
+  window.SL_CsvMapper = { detectHeader, headerSignature, findProfile, listProfiles, saveProfile, deleteProfile, applyMapping, openMappingDialog };
+})();
@@ -0,0 +1,74 @@
+// Duplicate detection for overlapping statement imports
+// A row is a duplicate when the same account already holds the bank's transaction ID (FITID), or —
+// without one — the same date + amount + normalised description. Repeats are counted, so a second
+// identical coffee is only a duplicate if the store already has two.
+(function(){
+  function normaliseDescription(desc){
+    return String(desc || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  function normaliseDate(date){
+    const d = typeof parseDateSmart === 'function' ? parseDateSmart(date) : null;
+    return d ? `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}` : String(date || '').trim();
+  }
+
+  function fingerprint(t){
+    return [t.account || '', normaliseDate(t.date), (Number(t.amount) || 0).toFixed(2), normaliseDescription(t.description)].join('|');
+  }
+
+  // Returns [{ index, txn, reason, match }] for incoming rows that are already in `existing`.
+  function findDuplicates(existing, incoming){
+    const byFitid = new Map();
+    const byPrint = new Map();
+    for (const t of existing){
+      if (t.fitid) byFitid.set(`${t.account || ''}|${t.fitid}`, t);
+      const fp = fingerprint(t);
+      if (!byPrint.has(fp)) byPrint.set(fp, []);
+      byPrint.get(fp).push(t);
+    }
+    const dups = [];
+    incoming.forEach((t, index) => {
+      if (t.fitid){
+        const match = byFitid.get(`${t.account || ''}|${t.fitid}`);
+        if (match){ dups.push({ index, txn: t, reason: 'Same bank transaction ID', match }); return; }
+      }
+      const pool = byPrint.get(fingerprint(t));
+      if (pool && pool.length){
+        dups.push({ index, txn: t, reason: 'Same date, amount and description', match: pool.shift() });
+      }
+    });
+    return dups;
+  }
+
+  // Review dialog: every duplicate is skipped unless "Keep" is ticked. onConfirm(keptIndexes)
+  function openReview({ dups, total, onConfirm, onCancel }){
+    const rows = dups.map((d, i) => `<tr>
+        <td><input type="checkbox" data-keep="${i}" aria-label="Keep this row"></td>
+        <td>${escapeHtml(d.txn.date)}</td>
+        <td class="num">${(Number(d.txn.amount) || 0).toFixed(2)}</td>
+        <td>${escapeHtml(d.txn.description)}</td>
+        <td class="muted">${escapeHtml(d.reason)}</td>
+      </tr>`).join('');
+    let confirmed = false;
+    const modal = SL_Modal.open({
+      title: 'Possible duplicates',
+      wide: true,
+      body: `<p class="sl-modal-note">${dups.length} of ${total} rows are already loaded and will be skipped.
+        Tick <strong>Keep</strong> for genuine repeats (e.g. two identical coffees on one day).</p>
+        <table class="zebra"><thead><tr><th>Keep</th><th>Date</th><th class="num">Amount</th><th>Description</th><th>Why</th></tr></thead>
+        <tbody>${rows}</tbody></table>`,
+      actions: [
+        { label: 'Cancel import' },
+        { label: 'Import', primary: true, onClick: () => {
+          confirmed = true;
+          const kept = [...modal.body.querySelectorAll('input[data-keep]:checked')].map(cb => dups[Number(cb.dataset.keep)].index);
+          onConfirm && onConfirm(kept);
+        } }
+      ],
+      onClose: () => { if (!confirmed && onCancel) onCancel(); }
+    });
+    return modal;
+  }
+
+  window.SL_Dedupe = { fingerprint, normaliseDescription, findDuplicates, openReview };
+})();
@@ -0,0 +1,175 @@
+// Importer registry — recognises a statement format and turns it into {date, amount, description}
+//
+// Register your own from any script loaded after this one:
+//   SL_Importers.register({
+//     id: 'mybank', name: 'My Bank CSV',
+//     detect: (ctx) => ctx.filename.startsWith('mybank') || (ctx.header || []).includes('txn ref'),
+//     parse:  (ctx) => ctx.rows.slice(1).map(r => ({ date: r[0], amount: -parseAmount(r[3]), description: r[1] }))
+//   });
+//
+// ctx = { filename, text, rows, header } — rows are PapaParse rows (parsed on first use),
+// header is the lower-cased first row when it looks like a header, else null.
+// detect() returns true/false or a score; the highest score wins. Amounts are positive for money out.
+(function(){
+  const importers = [];
+  const BUILTIN_SCORE = 1;
+  const CUSTOM_SCORE = 5;     // `true` from a registered importer beats the generic built-ins
+  const PROFILE_SCORE = 10;   // a saved column mapping for this exact header shape beats everything
+
+  function register(importer){
+    if (!importer || !importer.id || typeof importer.detect !== 'function' || typeof importer.parse !== 'function'){
+      throw new Error('SL_Importers.register: importer needs id, detect() and parse()');
+    }
+    unregister(importer.id);
+    importers.unshift({ name: importer.id, ...importer, builtin: false });
+  }
+  function unregister(id){
+    const i = importers.findIndex(x => x.id === id);
+    if (i !== -1) importers.splice(i, 1);
+  }
+  function list(){ return importers.map(({id, name, builtin}) => ({id, name, builtin})); }
+
+  function context(text, filename = ''){
+    let rows = null, header;
+    const ctx = {
+      filename: String(filename || ''),
+      text: String(text || ''),
+      get rows(){
+        if (!rows) rows = Papa.parse(ctx.text.trim(), { skipEmptyLines: true }).data;
+        return rows;
+      },
+      get header(){
+        if (header === undefined){
+          header = SL_CsvMapper.detectHeader(ctx.rows) ? ctx.rows[0].map(c => String(c || '').trim().toLowerCase()) : null;
+        }
+        return header;
+      }
+    };
+    return ctx;
+  }
+
+  function score(importer, ctx){
+    let s;
+    try { s = importer.detect(ctx); } catch { return 0; }
+    if (s === true) return importer.builtin ? BUILTIN_SCORE : CUSTOM_SCORE;
+    return Number(s) || 0;
+  }
+
+  function detect(ctx){
+    let best = null, bestScore = 0;
+    for (const imp of importers){
+      const s = score(imp, ctx);
+      if (s > bestScore){ best = imp; bestScore = s; }
+    }
+    return best;
+  }
+
+  function normalise(txns){
+    const out = [];
+    for (const t of txns || []){
+      if (!t) continue;
+      const amount = Number(t.amount);
+      const date = String(t.date == null ? '' : t.date).trim();
+      const description = String(t.description == null ? '' : t.description).trim();
+      if ((date || description) && Number.isFinite(amount) && amount !== 0){
+        out.push({ ...t, date, amount, description });
+      }
+    }
+    return out;
+  }
+
+  // Returns { importer, txns } or null when nothing recognises the file.
+  // A parser that throws on the file hands it to the next-best importer instead.
+  function run(ctx){
+    const ranked = importers.map(imp => ({ imp, s: score(imp, ctx) })).filter(x => x.s > 0).sort((a, b) => b.s - a.s);
+    for (const { imp } of ranked){
+      let txns;
+      try { txns = imp.parse(ctx); } catch { continue; }
+      return { importer: imp, txns: normalise(txns) };
+    }
+    return null;
+  }
+
+  // --- Built-in importers ---
+  const col = (header, re) => (header || []).findIndex(h => re.test(h));
+  const cell = (r, i) => (i < 0 ? '' : String(r[i] == null ? '' : r[i]).trim());
+  const DATE_RE = /^(transaction |posted |posting |value )?date$|^date posted$/;
+  const DESC_RE = /desc|narrat|detail|particular|payee|merchant|^transaction$|^memo$/;
+
+  function builtin(importer){ importers.push({ ...importer, builtin: true }); }
+
+  builtin({
+    id: 'mapping-profile',
+    name: 'Saved column mapping',
+    detect: (ctx) => SL_CsvMapper.findProfile(ctx.rows) ? PROFILE_SCORE : 0,
+    parse: (ctx) => SL_CsvMapper.applyMapping(ctx.rows, SL_CsvMapper.findProfile(ctx.rows))
+  });
+
+  // Date | Time | Description | Amount (signed, negative = money out)
+  builtin({
+    id: 'date-time',
+    name: 'Separate date and time columns',
+    detect: (ctx) => {
+      const h = ctx.header;
+      return !!h && col(h, DATE_RE) !== -1 && col(h, /^time$/) !== -1 && col(h, DESC_RE) !== -1 &&
+        (col(h, /^amount/) !== -1 || col(h, /debit/) !== -1) ? BUILTIN_SCORE + 2 : 0;
+    },
+    parse: (ctx) => {
+      const h = ctx.header;
+      const d = col(h, DATE_RE), tm = col(h, /^time$/), ds = col(h, DESC_RE);
+      const amt = col(h, /^amount/), dr = col(h, /debit/), cr = col(h, /credit/);
+      return ctx.rows.slice(1).map(r => ({
+        date: cell(r, d),
+        time: cell(r, tm),
+        amount: amt !== -1 ? -parseAmount(cell(r, amt)) : Math.abs(parseAmount(cell(r, dr))) - Math.abs(parseAmount(cell(r, cr))),
+        description: cell(r, ds)
+      }));
+    }
+  });
+
+  // Date | Description | Debit | Credit (both positive)
+  builtin({
+    id: 'debit-credit',
+    name: 'Separate debit and credit columns',
+    detect: (ctx) => {
+      const h = ctx.header;
+      return !!h && col(h, DATE_RE) !== -1 && col(h, DESC_RE) !== -1 &&
+        col(h, /debit|withdraw|money out/) !== -1 && col(h, /credit|deposit|money in/) !== -1 ? BUILTIN_SCORE + 1 : 0;
+    },
+    parse: (ctx) => {
+      const h = ctx.header;
+      const d = col(h, DATE_RE), ds = col(h, DESC_RE);
+      const dr = col(h, /debit|withdraw|money out/), cr = col(h, /credit|deposit|money in/);
+      return ctx.rows.slice(1).map(r => ({
+        date: cell(r, d),
+        amount: Math.abs(parseAmount(cell(r, dr))) - Math.abs(parseAmount(cell(r, cr))),
+        description: cell(r, ds)
+      }));
+    }
+  });
+
+  // Date | Description | Amount (signed, negative = money out)
+  builtin({
+    id: 'signed-amount',
+    name: 'Single signed amount column',
+    detect: (ctx) => {
+      const h = ctx.header;
+      return !!h && col(h, DATE_RE) !== -1 && col(h, DESC_RE) !== -1 && col(h, /^amount/) !== -1;
+    },
+    parse: (ctx) => {
+      const h = ctx.header;
+      const d = col(h, DATE_RE), ds = col(h, DESC_RE), amt = col(h, /^amount/);
+      return ctx.rows.slice(1).map(r => ({ date: cell(r, d), amount: -parseAmount(cell(r, amt)), description: cell(r, ds) }));
+    }
+  });
+
+  // The original 10-column export: date in col 3, debit in col 6, long description in col 10
+  builtin({
+    id: 'legacy-10col',
+    name: 'Legacy 10-column export',
+    detect: (ctx) => !ctx.header && (ctx.rows[0] || []).length === 10,
+    parse: (ctx) => ctx.rows.map(r => ({ date: cell(r, 2), amount: parseAmount(cell(r, 5)), description: cell(r, 9) }))
+  });
+
+  window.SL_Importers = { register, unregister, list, context, detect, run };
+})();
@@ -0,0 +1,75 @@
+// SL_Merchant — turn a raw bank description into a clean merchant name
+//   "SQ *CAFE NERO 4421 SYDNEY NSW AUS"   → "CAFE NERO"
+//   "VISA-WOOLWORTHS 1234 BONDI 12/03"     → "WOOLWORTHS"
+//   "PAYPAL *UBER TRIP REF 8H2K99QX"       → "UBER TRIP"
+//   "COLES 22 SYDNEY", "COLES 9"           → "COLES"
+// The output only ever keeps words that appear in the description, so it is safe to use as a rule keyword.
+(function(){
+  const MONTHS = 'JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|SEPT|OCT|NOV|DEC';
+  // Payment processors that put the merchant after a '*' (SQ *CAFE, PP*1234CODE, ZLR*BAKERY)
+  const STAR_PREFIX = /^(?:SQ|SQU|PAYPAL|PP|SP|ZLR|IZ|TST|SMP|LS|GOOGLE|APPLE\.COM\/BILL|AMZN MKTP|WWW)\s*\*\s*/;
+  // Card and channel wording banks put in front of the merchant
+  const LEAD_PREFIX = /^(?:EFTPOS|POS|ATM|PURCHASE|CARD PURCHASE|DEBIT CARD PURCHASE|VISA DEBIT PURCHASE|VISA PURCHASE|VISA DEBIT|VISA|MASTERCARD|DIRECT DEBIT|DEPOSIT|PAYPAL|RETURN|REFUND|CONTACTLESS|TAP AND PAY|APPLE PAY|GOOGLE PAY)(?:[\s\-:*]+|$)/;
+  const STATES = /\s(?:NSW|VIC|QLD|WA|SA|TAS|ACT|NT)(?:\s.*)?$/;
+  const COUNTRIES = /\s(?:AU|AUS|AUSTRALIA|NZ|NZL|US|USA|GB|GBR|UK|IE|SG)$/;
+  const COMPANY = /\s(?:PTY LTD|PTY|LTD|LIMITED|INC|LLC|CO)$/;
+  const NOISE = [
+    /\b(?:CARD|CRD)\s*(?:NO\.?|NUMBER)?\s*[X*\d]{4,}\b/g,        // CARD 1234, CARD XXXX5678
+    /\b[X*]{2,}\d{2,4}\b/g,                                      // XXXX5678, ****5678
+    /\b(?:\d{4}[\s-]){2,3}\d{4}\b/g,                             // full card numbers
+    /\b(?:VALUE DATE|DATE)\s*:?\s*/g,
+    /\b\d{1,2}[/.-]\d{1,2}(?:[/.-]\d{2,4})?\b/g,                 // 12/03, 12-03-2025
+    /\b\d{4}-\d{2}-\d{2}\b/g,
+    new RegExp(`\\b\\d{1,2}\\s?(?:${MONTHS})[A-Z]*(?:\\s?\\d{2,4})?\\b`, 'g'), // 12MAR, 12 MAR 2025
+    /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AP]M)?\b/g,                 // times
+    /\b(?:REF|REFERENCE|RECEIPT|RCPT|TXN|AUTH|INV|ID|NO)\b\.?\s*[:#]?\s*[A-Z0-9-]*\d[A-Z0-9-]*/g
+  ];
+
+  const hasManyDigits = (tok) => (tok.match(/\d/g) || []).length >= 3;
+  const isNumber = (tok) => /^\d+$/.test(tok);
+
+  const cache = new Map();
+
+  function normalise(description){
+    const key = String(description || '');
+    if (cache.has(key)) return cache.get(key);
+    let s = key.toUpperCase().trim();
+
+    const visa = s.indexOf('VISA-');
+    if (visa !== -1 && s.slice(visa + 5).trim()) s = s.slice(visa + 5);
+    for (let guard = 0; guard < 4; guard++){
+      const before = s;
+      s = s.replace(STAR_PREFIX, '').replace(LEAD_PREFIX, '').trim();
+      if (s === before) break;
+    }
+
+    // Fixed-width exports pad the merchant and put the location after a run of spaces or " - "
+    const gap = s.search(/\S(?:\s{3,}|\s+-\s+)\S/);
+    if (gap > 0) s = s.slice(0, gap + 1);
+
+    for (const re of NOISE) s = s.replace(re, ' ');
+
+    // A store number (any length) usually sits between the merchant and the suburb: keep what comes before it
+    const tokens = s.split(/[^A-Z0-9&._']+/).map(t => t.replace(/^[.'_]+|[.'_]+$/g, '')).filter(Boolean);
+    const cut = tokens.findIndex((t, i) => i > 0 && (isNumber(t) || hasManyDigits(t)));
+    const kept = (cut === -1 ? tokens : tokens.slice(0, cut)).filter(t => !hasManyDigits(t));
+    let name = kept.join(' ');
+    for (let guard = 0; guard < 3; guard++){
+      const before = name;
+      name = name.replace(COUNTRIES, '').replace(STATES, '').replace(COMPANY, '').trim();
+      if (name === before) break;
+    }
+    if (!name) name = key.toUpperCase().replace(/\s+/g, ' ').trim();
+    if (cache.size > 5000) cache.clear();
+    cache.set(key, name);
+    return name;
+  }
+
+  // A rule keyword: the first two words of the merchant name are usually enough and survive small
+  // wording changes between statements ("UBER TRIP HELP.UBER.COM" vs "UBER TRIP").
+  function suggestKeyword(description){
+    return normalise(description).split(' ').slice(0, 2).join(' ');
+  }
+
+  window.SL_Merchant = { normalise, suggestKeyword };
+})();
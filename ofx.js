@@ -0,0 +1,61 @@
+// OFX/QFX importer — handles both SGML (OFX 1.x, unclosed tags) and XML (OFX 2.x) statements
+(function(){
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  const decode = (s) => String(s || '').replace(/&(#\d+|[a-z]+);/gi, (m, e) =>
+    e[0] === '#' ? String.fromCharCode(Number(e.slice(1))) : (ENTITIES[e.toLowerCase()] ?? m));
+
+  // In SGML a leaf value runs to the next tag or line end; in XML it's closed by </TAG>. One regex covers both.
+  function field(block, tag){
+    const m = block.match(new RegExp(`<${tag}>\\s*([^<\\r\\n]*)`, 'i'));
+    return m ? decode(m[1]).trim() : '';
+  }
+
+  function blocks(text, tag){
+    const out = [];
+    const re = new RegExp(`<${tag}>([\\s\\S]*?)(?=</${tag}>|<${tag}>|</BANKTRANLIST>|$)`, 'gi');
+    let m;
+    while ((m = re.exec(text))) out.push(m[1]);
+    return out;
+  }
+
+  // DTPOSTED looks like 20250301, 20250301120000 or 20250301120000.000[+10:AEST]
+  function ofxDate(s){
+    const m = String(s || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+  }
+
+  function isOfx(text){
+    return /OFXHEADER\s*[:=]|<OFX>/i.test(String(text || '').slice(0, 2000));
+  }
+
+  function parse(text){
+    const src = String(text || '');
+    const acctBlock = blocks(src, 'BANKACCTFROM')[0] || blocks(src, 'CCACCTFROM')[0] || '';
+    const account = { bankId: field(acctBlock, 'BANKID'), acctId: field(acctBlock, 'ACCTID'), type: field(acctBlock, 'ACCTTYPE') };
+    const txns = blocks(src, 'STMTTRN').map(b => {
+      const name = field(b, 'NAME') || field(b, 'PAYEE');
+      const memo = field(b, 'MEMO');
+      const description = memo && memo !== name && !name.includes(memo) ? `${name} ${memo}`.trim() : (name || memo);
+      return {
+        date: ofxDate(field(b, 'DTPOSTED')),
+        amount: -(Number(field(b, 'TRNAMT').replace(/,/g, '')) || 0), // OFX credits are positive; SpendLite debits are
+        description,
+        fitid: field(b, 'FITID')
+      };
+    });
+    return { account, txns };
+  }
+
+  SL_Importers.register({
+    id: 'ofx',
+    name: 'OFX / QFX statement',
+    detect: (ctx) => (/\.(ofx|qfx)$/i.test(ctx.filename) || isOfx(ctx.text)) ? 20 : 0,
+    parse: (ctx) => {
+      const { account, txns } = parse(ctx.text);
+      const name = account.acctId ? `${account.type ? toTitleCase(account.type) + ' ' : ''}…${account.acctId.slice(-4)}` : '';
+      return txns.map(t => ({ ...t, account: name }));
+    }
+  });
+
+  window.SL_OFX = { parse, isOfx };
+})();
@@ -0,0 +1,100 @@
+// SL_Period — time filters as short strings that fit in a URL (?period=FY2025)
+//   2025-03                  one month
+//   2025-Q1                  calendar quarter
+//   FY2025                   financial year, July 2024 – June 2025
+//   last90                   the last N days, up to today
+//   2025-01-05..2025-02-10   custom range, inclusive (either end may be left open)
+(function(){
+  const FY_START_MONTH = 7; // July
+  const RELATIVE = [30, 90, 365];
+
+  const ymd = (y, m, d) => y * 10000 + m * 100 + d;
+  const ymdOf = (date) => ymd(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  const lastDay = (y, m) => new Date(y, m, 0).getDate();
+  const validMonth = (mo) => mo >= 1 && mo <= 12;
+  // null for a day that doesn't exist (2025-02-31)
+  const fromIso = (s) => {
+    const m = String(s || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const y = Number(m[1]), mo = Number(m[2]), d = Number(m[3]);
+    return validMonth(mo) && d >= 1 && d <= lastDay(y, mo) ? ymd(y, mo, d) : null;
+  };
+  const isoOf = (n) => `${Math.floor(n / 10000)}-${String(Math.floor(n / 100) % 100).padStart(2, '0')}-${String(n % 100).padStart(2, '0')}`;
+
+  // → { from, to } as YYYYMMDD numbers (null = open end), or null for "all time" / not a period
+  function parse(spec, today = new Date()){
+    const s = String(spec || '').trim();
+    let m;
+    if ((m = s.match(/^(\d{4})-(\d{2})$/))){
+      const y = Number(m[1]), mo = Number(m[2]);
+      return validMonth(mo) ? { from: ymd(y, mo, 1), to: ymd(y, mo, lastDay(y, mo)) } : null;
+    }
+    if ((m = s.match(/^(\d{4})-Q([1-4])$/i))){
+      const y = Number(m[1]), first = (Number(m[2]) - 1) * 3 + 1;
+      return { from: ymd(y, first, 1), to: ymd(y, first + 2, lastDay(y, first + 2)) };
+    }
+    if ((m = s.match(/^FY(\d{4})$/i))){
+      const end = Number(m[1]);
+      return { from: ymd(end - 1, FY_START_MONTH, 1), to: ymd(end, FY_START_MONTH - 1, lastDay(end, FY_START_MONTH - 1)) };
+    }
+    if ((m = s.match(/^last(\d{1,4})$/i))){
+      const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - Number(m[1]) + 1);
+      return { from: ymdOf(start), to: ymdOf(today) };
+    }
+    if ((m = s.match(/^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/)) && (m[1] || m[2])){
+      const from = m[1] ? fromIso(m[1]) : null, to = m[2] ? fromIso(m[2]) : null;
+      if ((m[1] && from == null) || (m[2] && to == null)) return null;
+      return from && to && from > to ? { from: to, to: from } : { from, to };
+    }
+    return null;
+  }
+
+  const isValid = (spec) => !!parse(spec);
+
+  function contains(range, date){
+    if (!range) return true;
+    if (!date || isNaN(date)) return false;
+    const n = ymdOf(date);
+    return (range.from == null || n >= range.from) && (range.to == null || n <= range.to);
+  }
+
+  const fmtDay = (n) => new Date(Math.floor(n / 10000), Math.floor(n / 100) % 100 - 1, n % 100)
+    .toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+  function label(spec){
+    const s = String(spec || '').trim();
+    let m;
+    if (!s) return 'All months';
+    if (!parse(s)) return s;
+    if ((m = s.match(/^(\d{4})-(\d{2})$/))) return new Date(Number(m[1]), Number(m[2]) - 1, 1).toLocaleString(undefined, { month: 'long', year: 'numeric' });
+    if ((m = s.match(/^(\d{4})-Q([1-4])$/i))) return `Q${m[2]} ${m[1]}`;
+    if ((m = s.match(/^FY(\d{4})$/i))) return `FY ${Number(m[1]) - 1}–${String(m[1]).slice(2)} (Jul–Jun)`;
+    if ((m = s.match(/^last(\d{1,4})$/i))) return `Last ${m[1]} days`;
+    const r = parse(s);
+    if (r.from == null) return `Up to ${fmtDay(r.to)}`;
+    if (r.to == null) return `From ${fmtDay(r.from)}`;
+    return `${fmtDay(r.from)} – ${fmtDay(r.to)}`;
+  }
+
+  // Dropdown groups for the months that have data: [{ label, options: [{ value, label }] }]
+  function presets(months){
+    const quarters = new Set(), fys = new Set();
+    for (const ym of months){
+      const [y, mo] = ym.split('-').map(Number);
+      quarters.add(`${y}-Q${Math.floor((mo - 1) / 3) + 1}`);
+      fys.add(`FY${mo >= FY_START_MONTH ? y + 1 : y}`);
+    }
+    const opts = (list) => list.map(value => ({ value, label: label(value) }));
+    return [
+      { label: 'Months', options: opts([...months].sort()) },
+      { label: 'Quarters', options: opts([...quarters].sort()) },
+      { label: 'Financial years', options: opts([...fys].sort()) },
+      { label: 'Recent', options: opts(RELATIVE.map(n => `last${n}`)) }
+    ].filter(g => g.options.length);
+  }
+
+  // Spec for a custom from/to pair of <input type="date"> values
+  const range = (from, to) => (from || to) ? `${from || ''}..${to || ''}` : '';
+
+  window.SL_Period = { parse, isValid, contains, label, presets, range, isoOf };
+})();
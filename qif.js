@@ -0,0 +1,89 @@
+// QIF importer/exporter — D/T/P/M/L records ⇄ {date, amount, description, payee, memo, sourceCategory}
+(function(){
+  const pad = (n) => String(n).padStart(2, '0');
+
+  function isQif(text){
+    return /^\s*!(Type|Account|Option)/i.test(String(text || ''));
+  }
+
+  // QIF dates come as 15/03/2025, 3/15'25, 2025-03-15 ... Day/month order is decided per file:
+  // any first part > 12 means D/M, any second part > 12 means M/D, otherwise AU-style D/M.
+  function splitDate(s){
+    const parts = String(s || '').trim().replace(/\s+/g, '').split(/[\/\-.']/).filter(Boolean).map(Number);
+    return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+  }
+  function dateOrder(rawDates){
+    for (const d of rawDates){
+      const p = splitDate(d);
+      if (!p || p[0] > 999) continue;
+      if (p[0] > 12) return 'DMY';
+      if (p[1] > 12) return 'MDY';
+    }
+    return 'DMY';
+  }
+  function toIso(raw, order){
+    const p = splitDate(raw);
+    if (!p) return String(raw || '').trim();
+    let y, m, d;
+    if (p[0] > 999) [y, m, d] = p;
+    else if (order === 'MDY') [m, d, y] = p;
+    else [d, m, y] = p;
+    if (y < 100) y += y < 70 ? 2000 : 1900;
+    return `${y}-${pad(m)}-${pad(d)}`;
+  }
+
+  function parse(text){
+    const records = [];
+    let cur = {};
+    for (const rawLine of String(text || '').split(/\r?\n/)){
+      const line = rawLine.replace(/\s+$/, '');
+      if (!line || line[0] === '!') continue;
+      const code = line[0], value = line.slice(1).trim();
+      if (code === '^'){ if (Object.keys(cur).length) records.push(cur); cur = {}; continue; }
+      // Split lines (S/E/$) belong to the parent amount; the parent T already holds the total.
+      if (!(code in cur)) cur[code] = value;
+    }
+    if (Object.keys(cur).length) records.push(cur);
+
+    const order = dateOrder(records.map(r => r.D));
+    return records.map(r => {
+      const payee = r.P || '';
+      const memo = r.M || '';
+      const cat = (r.L || '').replace(/\/.*$/, '').trim();   // drop "/Class"
+      const isTransferAcct = /^\[.*\]$/.test(cat);           // [Other Account] means a transfer, not a category
+      return {
+        date: toIso(r.D, order),
+        amount: -(Number(String(r.T || r.U || '0').replace(/,/g, '')) || 0), // QIF payments are negative
+        description: memo && !payee.includes(memo) ? `${payee} ${memo}`.trim() : (payee || memo),
+        payee,
+        memo,
+        sourceCategory: cat && !isTransferAcct ? cat.split(':').map(p => p.trim().toUpperCase()).filter(Boolean).join(' > ') : '' // "Auto:Fuel" → "AUTO > FUEL"
+      };
+    });
+  }
+
+  // Export categorised transactions; dates are written D/M/YYYY to match the app's AU-style parsing.
+  function stringify(txns, { type = 'Bank' } = {}){
+    const lines = [`!Type:${type}`];
+    for (const t of txns){
+      const d = typeof parseDateSmart === 'function' ? parseDateSmart(t.date) : null;
+      const cat = (t.category || '').toUpperCase().split(/\s*>\s*/).join(':'); // subcategories are "Parent:Child" in QIF
+      lines.push(`D${d ? `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}` : t.date}`);
+      lines.push(`T${(-(Number(t.amount) || 0)).toFixed(2)}`);
+      lines.push(`P${t.payee || t.description || ''}`);
+      if (t.memo) lines.push(`M${t.memo}`);
+      if (cat && cat !== 'UNCATEGORISED') lines.push(`L${cat}`);
+      lines.push('^');
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  SL_Importers.register({
+    id: 'qif',
+    name: 'QIF file',
+    detect: (ctx) => (/\.qif$/i.test(ctx.filename) || isQif(ctx.text)) ? 20 : 0,
+    parse: (ctx) => parse(ctx.text)
+  });
+
+  window.SL_QIF = { parse, stringify, isQif };
+})();
@@ -0,0 +1,174 @@
+// Rule Editor — table view over the rules text (#rulesBox stays the saved/exported format)
+// Disabled rules are written as "#off KEYWORD => CATEGORY" so older versions just see a comment.
+(function(){
+  let opts = null;        // { container, textarea, getTxns, onChange }
+  let rows = [];          // { kind: 'rule'|'note'|'blank', enabled, left, category, text, raw }
+  let lastText = null;    // rules text this editor last rendered or wrote
+  let dragFrom = null;
+  let countTimer = null;
+
+  // Each row keeps its original line as `raw` until it is edited, so untouched lines are written back as they were
+  function parseText(text){
+    const out = [];
+    for (const raw of String(text || '').split(/\r?\n/)){
+      const line = raw.trim();
+      if (!line){ out.push({ kind: 'blank', raw }); continue; }
+      const off = line.match(/^#\s*off\s+(.*=>.*)$/i);
+      if (line.startsWith('#') && !off){ out.push({ kind: 'note', text: line.replace(/^#\s?/, ''), raw }); continue; }
+      const body = off ? off[1].trim() : line;
+      const arrow = body.lastIndexOf('=>');
+      out.push({
+        kind: 'rule',
+        raw,
+        enabled: !off,
+        left: arrow === -1 ? body : body.slice(0, arrow).trim(),
+        category: arrow === -1 ? '' : body.slice(arrow + 2).trim()
+      });
+    }
+    return out;
+  }
+
+  // Categories are case-insensitive anyway; a row without one is written back as typed so nothing is lost.
+  const ruleLine = (r) => r.category.trim() ? `${r.left.trim()} => ${r.category.trim().toUpperCase()}` : r.left.trim();
+  function toText(){
+    return rows.map(r => r.raw != null ? r.raw : r.kind === 'note' ? `# ${r.text}` : (r.enabled ? '' : '#off ') + ruleLine(r)).join('\n');
+  }
+
+  function validate(r){
+    if (r.kind !== 'rule') return '';
+    if (!r.category.trim()) return 'Missing category';
+    const parsed = SL_Rules.parseRuleLine(ruleLine(r));
+    return parsed.error || '';
+  }
+
+  function commit(){
+    lastText = toText();
+    opts.textarea.value = lastText;
+    opts.onChange && opts.onChange(lastText);
+  }
+
+  function rowHtml(r, i){
+    if (r.kind === 'blank') return '';
+    const handle = `<td class="re-handle" title="Drag to reorder" aria-label="Drag to reorder">⋮⋮</td>`;
+    if (r.kind === 'note'){
+      return `<tr class="re-note" data-i="${i}">${handle}<td></td>
+        <td colspan="3"><input class="re-input" data-field="text" value="${escapeHtml(r.text)}" aria-label="Note"></td>
+        <td><button class="re-del" data-del="${i}" title="Delete note">✕</button></td></tr>`;
+    }
+    const err = validate(r);
+    return `<tr class="${r.enabled ? '' : 're-off'}${err ? ' re-bad' : ''}" data-i="${i}">${handle}
+      <td><input type="checkbox" data-field="enabled"${r.enabled ? ' checked' : ''} title="Enable/disable" aria-label="Enabled"></td>
+      <td><input class="re-input" data-field="left" value="${escapeHtml(r.left)}" placeholder="keyword or conditions" aria-label="Match">
+        <div class="re-error" role="alert">${escapeHtml(err)}</div></td>
+      <td><input class="re-input re-cat" data-field="category" value="${escapeHtml(r.category)}" placeholder="CATEGORY" aria-label="Category"></td>
+      <td class="num re-count" data-count="${i}"></td>
+      <td><button class="re-del" data-del="${i}" title="Delete rule">✕</button></td></tr>`;
+  }
+
+  function render(){
+    const el = opts.container;
+    el.innerHTML = `<table class="rule-editor zebra">
+      <thead><tr><th></th><th>On</th><th>Match</th><th>Category</th><th class="num" title="Loaded transactions this rule matches (and wins)">Matches</th><th></th></tr></thead>
+      <tbody>${rows.map(rowHtml).join('')}</tbody></table>
+      ${rows.some(r => r.kind !== 'blank') ? '' : '<p class="muted">No rules yet. Add one below.</p>'}`;
+    wire();
+    updateCounts();
+  }
+
+  function wire(){
+    const tbody = opts.container.querySelector('tbody');
+    tbody.querySelectorAll('tr').forEach(tr => {
+      const i = Number(tr.dataset.i);
+      tr.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        if (field === 'enabled'){
+          input.addEventListener('change', () => { rows[i].enabled = input.checked; delete rows[i].raw; tr.classList.toggle('re-off', !input.checked); commit(); scheduleCounts(); });
+          return;
+        }
+        input.addEventListener('input', () => {
+          rows[i][field] = input.value;
+          delete rows[i].raw;
+          const err = validate(rows[i]);
+          tr.classList.toggle('re-bad', !!err);
+          const errEl = tr.querySelector('.re-error');
+          if (errEl) errEl.textContent = err;
+          scheduleCounts();
+        });
+        input.addEventListener('change', commit);
+      });
+      tr.querySelector('[data-del]').addEventListener('click', () => { rows.splice(i, 1); commit(); render(); });
+
+      const handle = tr.querySelector('.re-handle');
+      handle.addEventListener('mousedown', () => { tr.draggable = true; });
+      tr.addEventListener('dragstart', (e) => { dragFrom = i; tr.classList.add('re-dragging'); e.dataTransfer.effectAllowed = 'move'; try { e.dataTransfer.setData('text/plain', String(i)); } catch {} });
+      tr.addEventListener('dragend', () => { tr.draggable = false; tr.classList.remove('re-dragging'); dragFrom = null; });
+      tr.addEventListener('dragover', (e) => { if (dragFrom != null){ e.preventDefault(); tr.classList.add('re-dropzone'); } });
+      tr.addEventListener('dragleave', () => tr.classList.remove('re-dropzone'));
+      tr.addEventListener('drop', (e) => {
+        e.preventDefault();
+        tr.classList.remove('re-dropzone');
+        if (dragFrom == null || dragFrom === i) return;
+        const [moved] = rows.splice(dragFrom, 1);
+        rows.splice(i, 0, moved);
+        dragFrom = null;
+        commit(); render();
+      });
+    });
+  }
+
+  function scheduleCounts(){
+    clearTimeout(countTimer);
+    countTimer = setTimeout(updateCounts, 150);
+  }
+
+  // Count against the rules as edited (not yet recalculated), so each keystroke shows its effect.
+  function updateCounts(){
+    if (!opts) return;
+    const txns = opts.getTxns ? opts.getTxns() : [];
+    const active = [];
+    rows.forEach((r, i) => {
+      if (r.kind !== 'rule' || !r.enabled || validate(r)) return;
+      active.push({ i, rule: SL_Rules.parseRuleLine(ruleLine(r)) });
+    });
+    const { stats } = SL_Rules.diagnose(active.map(a => a.rule), txns);
+    opts.container.querySelectorAll('[data-count]').forEach(td => { td.textContent = ''; td.title = ''; });
+    active.forEach((a, k) => {
+      const td = opts.container.querySelector(`[data-count="${a.i}"]`);
+      if (!td) return;
+      const s = stats[k];
+      td.textContent = s.wins === s.matches ? String(s.matches) : `${s.matches} (${s.wins})`;
+      td.title = `${s.matches} matching, ${s.wins} categorised by this rule`;
+      td.classList.toggle('re-zero', !s.matches);
+    });
+  }
+
+  function addRule(rule = { left: '', category: '' }){
+    let at = rows.length; // above any trailing blank lines
+    while (at && rows[at - 1].kind === 'blank') at--;
+    rows.splice(at, 0, { kind: 'rule', enabled: true, ...rule });
+    render();
+    const inputs = opts.container.querySelectorAll('input[data-field="left"]');
+    const last = inputs[inputs.length - 1];
+    if (last) last.focus();
+  }
+
+  // Re-read #rulesBox when something else changed it (import, text mode, "+" prompts); otherwise just recount.
+  function refresh(){
+    if (!opts) return;
+    if (opts.textarea.value !== lastText){
+      lastText = opts.textarea.value;
+      rows = parseText(lastText);
+      render();
+    } else {
+      scheduleCounts();
+    }
+  }
+
+  function mount(options){
+    opts = options;
+    lastText = null;
+    refresh();
+  }
+
+  window.SL_RuleEditor = { mount, refresh, addRule, parseText };
+})();
@@ -0,0 +1,325 @@
+// SL_Rules — rule language: CONDITIONS => CATEGORY (one per line, first match wins)
+//
+//   coles                      whole word (several words must all appear, in any order)
+//   "uber eats"                exact phrase
+//   -refund   NOT refund       must not match (NOT works in front of any condition)
+//   any:coles,woolworths,aldi  at least one of the words
+//   /^sq \*/i  re:/paypal.*uber/   regular expression over the description (case-insensitive by default)
+//   amount:<=2  amount:>100  amount:10..50  amount:=9.99   size of the transaction, sign ignored
+//   type:debit  type:credit    money out / money in
+//   day:sat,sun  day:mon-fri  day:weekend  day:weekday
+//   date:2025-03  date:2025-01-01..2025-03-31  date:>=2025-07-01
+//   account:everyday,visa      account name (any of)
+//
+// A plain `KEYWORD => CATEGORY` line means exactly what it always has.
+(function(){
+  const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const FIELDS = ['any', 're', 'amount', 'type', 'day', 'date', 'account', 'not'];
+
+  const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // Treat letters/digits/& . _ as "word" characters; anything else is a boundary.
+  const DELIM = '[^A-Za-z0-9&._]';
+  const wordRe = (word) => new RegExp(`(?:^|${DELIM})${escapeRe(word)}(?:${DELIM}|$)`, 'i');
+
+  // flexible matcher to support multi-word keywords (e.g., "paypal pypl"): every token as a whole word
+  function matchesKeyword(descLower, keywordLower){
+    if (!keywordLower) return false;
+    const text = String(descLower || '').toLowerCase();
+    const tokens = String(keywordLower).toLowerCase().split(/\s+/).filter(Boolean);
+    if (!tokens.length) return false;
+    return tokens.every(tok => wordRe(tok).test(text));
+  }
+
+  // --- Tokeniser: whitespace separated, with "quoted phrases" and /regex/flags kept whole ---
+  function tokenize(src){
+    const out = [];
+    let i = 0;
+    while (i < src.length){
+      if (/\s/.test(src[i])){ i++; continue; }
+      let start = i;
+      let neg = false;
+      if (src[i] === '-' && i + 1 < src.length && !/\s/.test(src[i + 1])){ neg = true; i++; start = i; }
+      const bodyStart = src.startsWith('re:/', i) ? i + 3 : i;
+      if (src[bodyStart] === '/'){
+        let j = bodyStart + 1;
+        while (j < src.length && src[j] !== '/'){ if (src[j] === '\\') j++; j++; }
+        if (j >= src.length) throw new Error('Unclosed /regex/');
+        j++;
+        while (j < src.length && /[a-z]/i.test(src[j])) j++;
+        out.push({ neg, raw: src.slice(bodyStart, j), kind: 'regex' });
+        i = j;
+      } else if (src[i] === '"'){
+        const j = src.indexOf('"', i + 1);
+        if (j === -1) throw new Error('Unclosed "quote"');
+        out.push({ neg, raw: src.slice(i + 1, j), kind: 'phrase' });
+        i = j + 1;
+      } else {
+        let j = i;
+        while (j < src.length && !/\s/.test(src[j])) j++;
+        out.push({ neg, raw: src.slice(start, j), kind: 'word' });
+        i = j;
+      }
+    }
+    return out;
+  }
+
+  function parseRange(spec, parseValue, what){
+    const s = String(spec || '').trim();
+    let m = s.match(/^(.+?)\.\.(.+)$/);
+    if (m){
+      const lo = parseValue(m[1]), hi = parseValue(m[2]);
+      if (lo == null || hi == null) throw new Error(`Bad ${what} range "${s}"`);
+      return { min: lo, max: hi, minIncl: true, maxIncl: true };
+    }
+    m = s.match(/^(>=|<=|>|<|=)?(.+)$/);
+    const v = m ? parseValue(m[2]) : null;
+    if (v == null) throw new Error(`Bad ${what} "${s}"`);
+    switch (m[1]){
+      case '>':  return { min: v, minIncl: false };
+      case '>=': return { min: v, minIncl: true };
+      case '<':  return { max: v, maxIncl: false };
+      case '<=': return { max: v, maxIncl: true };
+      default:   return { exact: v };
+    }
+  }
+  const inRange = (r, v) => {
+    if (v == null || Number.isNaN(v)) return false;
+    if ('exact' in r) return Array.isArray(r.exact) ? v >= r.exact[0] && v <= r.exact[1] : v === r.exact;
+    if (r.min != null && (r.minIncl ? v < r.min : v <= r.min)) return false;
+    if (r.max != null && (r.maxIncl ? v > r.max : v >= r.max)) return false;
+    return true;
+  };
+
+  const parseMoney = (s) => { const n = Number(String(s).replace(/[$,\s]/g, '')); return Number.isFinite(n) ? Math.round(n * 100) : null; };
+
+  // Dates compare as YYYYMMDD numbers; a bare YYYY-MM covers the whole month.
+  function parseDay(s, end){
+    const m = String(s).trim().match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+    if (!m) return null;
+    const y = +m[1], mo = +m[2];
+    const d = m[3] ? +m[3] : (end ? new Date(y, mo, 0).getDate() : 1);
+    return y * 10000 + mo * 100 + d;
+  }
+  function parseDateSpec(spec){
+    const s = String(spec || '').trim();
+    const range = s.match(/^(.+?)\.\.(.+)$/);
+    if (range){
+      const lo = parseDay(range[1], false), hi = parseDay(range[2], true);
+      if (lo == null || hi == null) throw new Error(`Bad date range "${s}"`);
+      return { min: lo, max: hi, minIncl: true, maxIncl: true };
+    }
+    const op = s.match(/^(>=|<=|>|<)?(.+)$/);
+    const isEnd = op[1] === '>' || op[1] === '<=';
+    if (!op[1]){
+      const lo = parseDay(s, false), hi = parseDay(s, true);
+      if (lo == null) throw new Error(`Bad date "${s}"`);
+      return { exact: [lo, hi] };
+    }
+    const v = parseDay(op[2], isEnd);
+    if (v == null) throw new Error(`Bad date "${s}"`);
+    return parseRange(op[1] + v, (x) => Number(x), 'date');
+  }
+
+  function parseDays(spec){
+    const s = String(spec || '').toLowerCase().trim();
+    if (s === 'weekend') return [0, 6];
+    if (s === 'weekday' || s === 'weekdays') return [1, 2, 3, 4, 5];
+    const out = new Set();
+    for (const part of s.split(',').map(x => x.trim()).filter(Boolean)){
+      const m = part.match(/^([a-z]{3})[a-z]*(?:-([a-z]{3})[a-z]*)?$/);
+      const a = m ? DAYS.indexOf(m[1]) : -1;
+      const b = m && m[2] ? DAYS.indexOf(m[2]) : a;
+      if (a === -1 || b === -1) throw new Error(`Bad day "${part}"`);
+      for (let d = a; ; d = (d + 1) % 7){ out.add(d); if (d === b) break; }
+    }
+    if (!out.size) throw new Error('Empty day list');
+    return [...out];
+  }
+
+  function parseRegex(raw){
+    const m = raw.match(/^\/(.*)\/([a-z]*)$/i);
+    if (!m) throw new Error(`Bad regex ${raw}`);
+    const flags = m[2].includes('i') ? m[2] : m[2] + 'i';
+    try { return new RegExp(m[1], flags.replace(/[gy]/g, '')); }
+    catch (e) { throw new Error(`Bad regex ${raw}: ${e.message}`); }
+  }
+
+  function parseCondition(tok){
+    if (tok.kind === 'regex') return { type: 'regex', re: parseRegex(tok.raw) };
+    // Word patterns are compiled here, once per rule, not on every test
+    if (tok.kind === 'phrase') return { type: 'phrase', phrase: tok.raw.toLowerCase(), re: wordRe(tok.raw) };
+    const m = tok.raw.match(/^([a-z]+):(.*)$/i);
+    const field = m && FIELDS.includes(m[1].toLowerCase()) ? m[1].toLowerCase() : null;
+    if (!field) return { type: 'keyword', word: tok.raw.toLowerCase(), re: wordRe(tok.raw) };
+    const val = m[2];
+    if (!val) throw new Error(`Missing value after ${field}:`);
+    switch (field){
+      case 'any': {
+        const words = val.toLowerCase().split(',').map(x => x.trim()).filter(Boolean);
+        return { type: 'any', words, res: words.map(w => w.split(/\s+/).map(wordRe)) };
+      }
+      case 're':      return { type: 'regex', re: parseRegex(val) };
+      case 'amount':  return { type: 'amount', range: parseRange(val, parseMoney, 'amount') };
+      case 'type': {
+        const v = val.toLowerCase();
+        if (v !== 'debit' && v !== 'credit') throw new Error(`type: must be debit or credit`);
+        return { type: 'sign', debit: v === 'debit' };
+      }
+      case 'day':     return { type: 'day', days: parseDays(val) };
+      case 'date':    return { type: 'date', range: parseDateSpec(val) };
+      case 'account': return { type: 'account', names: val.toLowerCase().split(',').map(x => x.trim()).filter(Boolean) };
+      case 'not':     return { ...parseCondition({ kind: 'word', raw: val }), negate: true };
+    }
+  }
+
+  // The left-hand side of a rule → conditions (throws on a bad one). `extra(tok)` may claim a token first,
+  // returning its own condition, so the search bar can add fields rules don't have.
+  function parseConditions(src, extra){
+    const conditions = [];
+    let negateNext = false;
+    for (const tok of tokenize(src)){
+      if (!tok.neg && tok.kind === 'word' && tok.raw === 'NOT'){ negateNext = true; continue; }
+      const c = (extra && extra(tok)) || parseCondition(tok);
+      if (tok.neg || negateNext) c.negate = !c.negate;
+      negateNext = false;
+      conditions.push(c);
+    }
+    if (negateNext) throw new Error('NOT needs a condition after it');
+    return conditions;
+  }
+
+  // Returns { conditions, keyword, category, text } or { error, text }
+  function parseRuleLine(line){
+    const text = String(line || '').trim();
+    const arrow = text.lastIndexOf('=>');
+    if (arrow === -1) return { error: 'Missing "=>"', text };
+    const left = text.slice(0, arrow).trim();
+    // "transport>petrol" → "TRANSPORT > PETROL": one spelling per level of the category tree
+    const category = text.slice(arrow + 2).split('>').map(p => p.trim().toUpperCase()).filter(Boolean).join(' > ');
+    if (!category) return { error: 'Missing category after "=>"', text };
+    if (!left) return { error: 'Missing keyword or condition before "=>"', text };
+    try {
+      const conditions = parseConditions(left);
+      const keyword = conditions.filter(c => c.type === 'keyword' && !c.negate).map(c => c.word).join(' ');
+      return { conditions, keyword, category, text };
+    } catch (e) {
+      return { error: e.message, text };
+    }
+  }
+
+  // Parse a whole rules box. Comment and blank lines are skipped; bad lines are reported, not applied.
+  function parseRulesDetailed(text){
+    const rules = [], errors = [];
+    String(text || '').split(/\r?\n/).forEach((line, i) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+      const r = parseRuleLine(trimmed);
+      if (r.error) errors.push({ line: i + 1, text: trimmed, error: r.error });
+      else rules.push({ ...r, line: i + 1 });
+    });
+    return { rules, errors };
+  }
+  function parseRules(text){ return parseRulesDetailed(text).rules; }
+
+  // Per-transaction facts, computed once and reused across every rule.
+  function txnContext(t){
+    const d = typeof parseDateSmart === 'function' ? parseDateSmart(t.date) : null;
+    const amount = Number(t.amount || t.debit || 0);
+    return {
+      desc: String(t.desc || t.description || '').toLowerCase(),
+      cents: Math.round(Math.abs(amount) * 100),
+      debit: amount > 0,
+      day: d ? d.getDay() : null,
+      ymd: d ? d.getFullYear() * 10000 + (d.getMonth() + 1) * 100 + d.getDate() : null,
+      account: String(t.account || '').toLowerCase()
+    };
+  }
+
+  function testCondition(c, ctx){
+    switch (c.type){
+      case 'keyword':
+      case 'phrase':  return c.re.test(ctx.desc);
+      case 'any':     return c.res.some(all => all.every(re => re.test(ctx.desc)));
+      case 'regex':   return c.re.test(ctx.desc);
+      case 'amount':  return inRange(c.range, ctx.cents);
+      case 'sign':    return ctx.debit === c.debit;
+      case 'day':     return ctx.day != null && c.days.includes(ctx.day);
+      case 'date':    return inRange(c.range, ctx.ymd);
+      case 'account': return c.names.includes(ctx.account);
+    }
+    return false;
+  }
+
+  function matchesContext(rule, ctx){
+    if (!rule.conditions || !rule.conditions.length) return false;
+    return rule.conditions.every(c => testCondition(c, ctx) !== !!c.negate);
+  }
+  function matches(rule, t){ return matchesContext(rule, txnContext(t)); }
+
+  function firstMatch(rules, t, ctx = txnContext(t)){
+    for (const r of rules) if (matchesContext(r, ctx)) return r;
+    return null;
+  }
+
+  // --- Diagnostics ---
+
+  // Every rule that matches `t`, in order: the first one wins, the rest are shadowed by it.
+  function explain(rules, t){
+    const ctx = txnContext(t);
+    const matched = rules.filter(r => matchesContext(r, ctx));
+    return { matched, winner: matched[0] || null, shadowed: matched.slice(1) };
+  }
+
+  function conditionKey(c){
+    const neg = c.negate ? '!' : '';
+    switch (c.type){
+      case 'keyword': return `${neg}kw:${c.word}`;
+      case 'phrase':  return `${neg}ph:${c.phrase}`;
+      case 'any':     return `${neg}any:${[...c.words].sort().join(',')}`;
+      case 'regex':   return `${neg}re:${c.re.source}/${c.re.flags}`;
+      case 'amount':  return `${neg}amt:${JSON.stringify(c.range)}`;
+      case 'sign':    return `${neg}sign:${c.debit}`;
+      case 'day':     return `${neg}day:${[...c.days].sort().join(',')}`;
+      case 'date':    return `${neg}date:${JSON.stringify(c.range)}`;
+      case 'account': return `${neg}acct:${[...c.names].sort().join(',')}`;
+    }
+    return `${neg}${c.type}`;
+  }
+
+  // `broad` can never let `narrow` win when every condition of `broad` is also a condition of `narrow`.
+  function covers(broad, narrow){
+    const keys = new Set(narrow.conditions.map(conditionKey));
+    return broad.conditions.length > 0 && broad.conditions.every(c => keys.has(conditionKey(c)));
+  }
+
+  // Whole-rule-set report against the loaded transactions:
+  //   unused    – matches no loaded transaction
+  //   hidden    – an earlier rule is at least as broad, so this one can never win
+  //   neverWins – matches some transactions, but an earlier rule always gets there first
+  function diagnose(rules, txns){
+    const stats = rules.map(rule => ({ rule, matches: 0, wins: 0 }));
+    for (const t of txns){
+      const ctx = txnContext(t);
+      let won = false;
+      rules.forEach((r, i) => {
+        if (!matchesContext(r, ctx)) return;
+        stats[i].matches++;
+        if (!won){ stats[i].wins++; won = true; }
+      });
+    }
+    const hidden = [];
+    rules.forEach((r, i) => {
+      const by = rules.slice(0, i).find(earlier => covers(earlier, r));
+      if (by) hidden.push({ rule: r, by });
+    });
+    const hiddenSet = new Set(hidden.map(h => h.rule));
+    return {
+      stats,
+      unused: stats.filter(s => !s.matches).map(s => s.rule),
+      hidden,
+      neverWins: stats.filter(s => s.matches && !s.wins && !hiddenSet.has(s.rule)).map(s => s.rule)
+    };
+  }
+
+  window.SL_Rules = { parseRuleLine, parseConditions, testCondition, parseRules, parseRulesDetailed, matchesKeyword, txnContext, matches, matchesContext, firstMatch, explain, diagnose };
+})();
@@ -1,16 +1,29 @@
 // SpendLite v6.6.27 – Month filter + export respects selected month
 // Keeps: UCASE categories, jolly theme, import/export rules, category filter, VISA- keyword, tabs export + grand total
 
-const COL = { DATE: 2, DEBIT: 5, LONGDESC: 9 }; // 0-based mapping for 10-col export
-
 let CURRENT_TXNS = [];
 let CURRENT_RULES = [];
 let CURRENT_FILTER = null; // category filter
-let MONTH_FILTER = "";     // 'YYYY-MM' or ''
+let MONTH_FILTER = "";     // period spec: 'YYYY-MM', '2025-Q1', 'FY2025', 'last90', 'from..to' or '' (see period.js)
 let CURRENT_PAGE = 1;
-const PAGE_SIZE = 10;
+const PAGE_SIZES = [10, 25, 50, 100];
+let TXN_VIEW = { sort: '', dir: 1, columns: ['account'], pageSize: 10, scroll: false }; // transactions table layout, persisted
+let TXN_ROWS = [];           // rows of the transactions table in display order (filtered + sorted)
+let TXN_INDEX = new Map();   // txn → index in CURRENT_TXNS for the row buttons, rebuilt with the table
 let CATEGORY_PAGE = 1;
 const CATEGORY_PAGE_SIZE = 10;
+let LAST_IMPORT = null;    // importer context of the last file, kept for re-mapping
+let IMPORTS = [];          // one entry per loaded statement: {id, account, filename, importer, importedAt, count}
+let ACCOUNT_FILTER = [];   // account names to show; empty = all accounts
+let OVERRIDES = new Map(); // txn id -> {txnId, category, createdAt}; manual picks beat rules
+let TOTALS_GROUP = 'category'; // 'category' | 'merchant' | 'trends'
+let SUGGESTIONS = new Map(); // txn id -> {category, confidence}; classifier guesses for uncategorised rows
+let EXPANDED_CATS = new Set(); // parent categories opened in the totals tree
+let SELECTED = new Set();    // txn ids ticked in the transactions table (always within the current filter)
+let LAST_CHECKED = null;     // txn id of the last row ticked, the anchor for shift-click ranges
+let SEARCH_QUERY = "";       // text of the search bar
+let SEARCH = null;           // SEARCH_QUERY parsed by SL_Search, or null when empty/invalid
+let TRANSFER_PAIRS = [];     // SL_Transfers pairs: detected and confirmed ones mark both transactions, undone ones are listed only
 
 function formatMonthLabel(ym) {
   if (!ym) return 'All months';
@@ -22,6 +35,7 @@ function formatMonthLabel(ym) {
 function friendlyMonthOrAll(label) {
   if (!label) return 'All months';
   if (/^\d{4}-\d{2}$/.test(label)) return formatMonthLabel(label);
+  if (typeof label === 'string' && SL_Period.isValid(label)) return SL_Period.label(label);
   return String(label);
 }
 function forFilename(label) {
@@ -29,7 +43,7 @@ function forFilename(label) {
 }
 
 
-const LS_KEYS = { RULES: 'spendlite_rules_v6626', FILTER: 'spendlite_filter_v6626', MONTH: 'spendlite_month_v6627', TXNS_COLLAPSED: 'spendlite_txns_collapsed_v7' };
+const LS_KEYS = { RULES: 'spendlite_rules_v6626', RULES_FORMAT: 'spendlite_rules_format_v9', FILTER: 'spendlite_filter_v6626', MONTH: 'spendlite_month_v6627', TXNS_COLLAPSED: 'spendlite_txns_collapsed_v7', TXNS_JSON: 'spendlite_txns_json_v7', ACCOUNTS: 'spendlite_accounts_v8', TOTALS_GROUP: 'spendlite_totals_group_v13', CATS_EXPANDED: 'spendlite_cats_expanded_v16', TXNS_VIEW: 'spendlite_txns_view_v21', CHARTS: 'spendlite_charts_v23' };
 
 function toTitleCase(str) {
   if (!str) return '';
@@ -47,26 +61,169 @@ function parseAmount(s) {
   return Number(s) || 0;
 }
 
-function loadCsvText(csvText) {
-  const rows = Papa.parse(csvText.trim(), { skipEmptyLines: true }).data;
-  const startIdx = rows.length && isNaN(parseAmount(rows[0][COL.DEBIT])) ? 1 : 0;
-  const txns = [];
-  for (let i = startIdx; i < rows.length; i++) {
-    const r = rows[i];
-    if (!r || r.length < 10) continue;
-    const effectiveDate = r[COL.DATE] || '';
-    const debit = parseAmount(r[COL.DEBIT]);
-    const longDesc = (r[COL.LONGDESC] || '').trim();
-    if ( (effectiveDate || longDesc) && Number.isFinite(debit) && debit !== 0 ) {
-       txns.push({ date: effectiveDate, amount: debit, description: longDesc });
+function loadStatementText(text, filename = '') {
+  const ctx = SL_Importers.context(text, filename);
+  LAST_IMPORT = ctx;
+  const result = SL_Importers.run(ctx);
+  if (result) return addImport(result.txns, { filename, importer: result.importer.id });
+  // Nothing recognised the file: ask for a column mapping, then load once it's saved as a profile
+  openColumnMapping();
+  return [];
+}
+
+function openColumnMapping() {
+  if (!LAST_IMPORT || !LAST_IMPORT.rows.length) { alert('Load a CSV file first.'); return; }
+  const ctx = LAST_IMPORT;
+  SL_CsvMapper.openMappingDialog({
+    rows: ctx.rows,
+    profile: SL_CsvMapper.findProfile(ctx.rows),
+    onConfirm: (profile) => {
+      // Re-mapping a file that's already loaded replaces that import (once the new rows are committed)
+      addImport(SL_CsvMapper.applyMapping(ctx.rows, profile), { filename: ctx.filename, importer: 'mapping-profile', replaces: ctx.importId });
     }
+  });
+}
+
+// --- Multi-account store ---
+function hashString(str) {
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
   }
-  CURRENT_TXNS = txns; saveTxnsToLocalStorage();
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Stable ID: the bank's FITID when there is one, else account + date + amount + description,
+// with a repeat counter so two identical coffees on one day stay distinct.
+function assignTxnIds(txns, taken = new Set(CURRENT_TXNS.map(t => t.id))) {
+  for (const t of txns) {
+    const base = t.fitid
+      ? `${t.account}|fitid|${t.fitid}`
+      : `${t.account}|${t.date}|${Number(t.amount).toFixed(2)}|${String(t.description || '').toLowerCase().replace(/\s+/g, ' ')}`;
+    let n = 1, id;
+    do { id = 't' + hashString(`${base}#${n++}`); } while (taken.has(id));
+    taken.add(id);
+    t.id = id;
+  }
+  return txns;
+}
+
+function accountNameFor(txns, filename) {
+  const typed = (document.getElementById('accountName')?.value || '').trim();
+  if (typed) return typed;
+  const fromFile = txns.find(t => t.account)?.account;
+  if (fromFile) return String(fromFile);
+  return String(filename || 'Account').replace(/\.[^.]+$/, '') || 'Account';
+}
+
+// replaces: id of an import these rows stand in for; it is only removed when the new rows are committed,
+// so cancelling the duplicate review leaves it in place.
+function addImport(txns, { filename = '', importer = '', replaces = null } = {}) {
+  const account = accountNameFor(txns, filename);
+  for (const t of txns) t.account = account;
+  const dups = SL_Dedupe.findDuplicates(replaces ? CURRENT_TXNS.filter(t => t.importId !== replaces) : CURRENT_TXNS, txns);
+  if (!dups.length) return commitImport(txns, { account, filename, importer, replaces });
+  SL_Dedupe.openReview({
+    dups,
+    total: txns.length,
+    onConfirm: (keptIndexes) => {
+      const skip = new Set(dups.map(d => d.index).filter(i => !keptIndexes.includes(i)));
+      commitImport(txns.filter((t, i) => !skip.has(i)), { account, filename, importer, skipped: skip.size, replaces });
+    }
+  });
+  return [];
+}
+
+function commitImport(txns, { account, filename, importer, skipped = 0, replaces = null }) {
+  if (replaces) removeImport(replaces, { render: false });
+  const imp = { id: 'imp' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), account, filename, importer, importedAt: new Date().toISOString(), count: txns.length, skipped };
+  txns.forEach((t, row) => { t.importId = imp.id; t.row = row; });
+  assignTxnIds(txns);
+  SL_Store.addImport(imp, txns).catch(storeFailed);
+  if (LAST_IMPORT && LAST_IMPORT.filename === filename) LAST_IMPORT.importId = imp.id;
+  IMPORTS.push(imp);
+  CURRENT_TXNS = CURRENT_TXNS.concat(txns);
+  refreshAfterStoreChange();
+  return txns;
+}
+
+function removeImport(importId, { render = true } = {}) {
+  SL_Store.deleteImport(importId).catch(storeFailed);
+  IMPORTS = IMPORTS.filter(i => i.id !== importId);
+  CURRENT_TXNS = CURRENT_TXNS.filter(t => t.importId !== importId);
+  if (render) refreshAfterStoreChange();
+}
+
+function refreshAfterStoreChange() {
+  renderAccountControls();
   try { updateMonthBanner(); } catch {}
   rebuildMonthDropdown();
   applyRulesAndRender();
-  return txns;
 }
+
+function listAccounts() {
+  return Array.from(new Set(CURRENT_TXNS.map(t => t.account).filter(Boolean))).sort((a, b) => a.localeCompare(b));
+}
+
+function accountFilteredTxns() {
+  if (!ACCOUNT_FILTER.length) return CURRENT_TXNS;
+  const wanted = new Set(ACCOUNT_FILTER);
+  return CURRENT_TXNS.filter(t => wanted.has(t.account));
+}
+
+function accountFilterLabel() {
+  const accounts = listAccounts();
+  const shown = ACCOUNT_FILTER.filter(a => accounts.includes(a));
+  if (!shown.length || shown.length === accounts.length) return accounts.length > 1 ? 'all accounts' : '';
+  return shown.join(', ');
+}
+
+function setAccountFilter(list) {
+  ACCOUNT_FILTER = list;
+  try { localStorage.setItem(LS_KEYS.ACCOUNTS, JSON.stringify(ACCOUNT_FILTER)); } catch {}
+  rebuildMonthDropdown();
+  applyRulesAndRender();
+}
+
+function renderAccountControls() {
+  const accounts = listAccounts();
+  const datalist = document.getElementById('accountNames');
+  if (datalist) datalist.innerHTML = accounts.map(a => `<option value="${escapeHtml(a)}">`).join('');
+
+  const filterEl = document.getElementById('accountFilter');
+  if (filterEl) {
+    if (accounts.length < 2) filterEl.innerHTML = '';
+    else {
+      const all = !ACCOUNT_FILTER.some(a => accounts.includes(a));
+      filterEl.innerHTML = `<span>Accounts:</span><label><input type="checkbox" data-all="1"${all ? ' checked' : ''}> All</label>` +
+        accounts.map(a => `<label><input type="checkbox" data-account="${escapeHtml(a)}"${!all && ACCOUNT_FILTER.includes(a) ? ' checked' : ''}> ${escapeHtml(a)}</label>`).join('');
+      filterEl.querySelectorAll('input[type=checkbox]').forEach(cb => {
+        cb.addEventListener('change', () => {
+          if (cb.dataset.all) setAccountFilter([]);
+          else {
+            const picked = [...filterEl.querySelectorAll('input[data-account]:checked')].map(x => x.dataset.account);
+            setAccountFilter(picked.length === accounts.length ? [] : picked);
+          }
+          renderAccountControls();
+        });
+      });
+    }
+  }
+
+  const listEl = document.getElementById('importsList');
+  if (listEl) {
+    listEl.innerHTML = IMPORTS.map(i => `<li><strong>${escapeHtml(i.account)}</strong> · ${escapeHtml(i.filename || 'pasted')} · ${i.count} rows${i.skipped ? ` (${i.skipped} duplicate${i.skipped === 1 ? '' : 's'} skipped)` : ''}
+      <button class="secondary small" data-remove-import="${escapeHtml(i.id)}" title="Remove these transactions">Remove</button></li>`).join('');
+    listEl.querySelectorAll('button[data-remove-import]').forEach(b => {
+      b.addEventListener('click', () => removeImport(b.getAttribute('data-remove-import')));
+    });
+  }
+}
+
 // --- Date helpers (AU-friendly) ---
 function parseDateSmart(s){
   if (!s) return null;
@@ -105,90 +262,185 @@ function getFirstTxnMonth(txns = CURRENT_TXNS) {
   return yyyymm(d);
 }
 
-// Build month list for dropdown
+// Build the period dropdown: months with data, the quarters and financial years they fall in, recent days, custom
 function rebuildMonthDropdown() {
   const sel = document.getElementById('monthFilter');
   const months = new Set();
-  for (const t of CURRENT_TXNS) {
+  for (const t of accountFilteredTxns()) {
     const d = parseDateSmart(t.date);
     if (d) months.add(yyyymm(d));
   }
-  const list = Array.from(months).sort(); // ascending
+  const groups = SL_Period.presets(Array.from(months));
   const current = MONTH_FILTER;
-  sel.innerHTML = `<option value="">All months</option>` + list.map(m => `<option value="${m}">${formatMonthLabel(m)}</option>`).join('');
-  sel.value = current && list.includes(current) ? current : "";
+  const known = groups.some(g => g.options.some(o => o.value === current));
+  const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+  sel.innerHTML = option('', 'All months') +
+    groups.map(g => `<optgroup label="${escapeHtml(g.label)}">${g.options.map(o => option(o.value, o.label)).join('')}</optgroup>`).join('') +
+    (current && !known ? option(current, SL_Period.label(current)) : '') +
+    option('custom', 'Custom range…');
+  sel.value = current;
+  updateCustomRange();
   updateMonthBanner();
 }
 
+// Show the from/to inputs while a custom range is picked, filled from the current period
+function updateCustomRange(show = false) {
+  const box = document.getElementById('customRange');
+  const range = SL_Period.parse(MONTH_FILTER);
+  show = show || /\.\./.test(MONTH_FILTER);
+  box.hidden = !show;
+  if (!show) return;
+  document.getElementById('rangeFrom').value = range && range.from ? SL_Period.isoOf(range.from) : '';
+  document.getElementById('rangeTo').value = range && range.to ? SL_Period.isoOf(range.to) : '';
+}
+
+// One place to change the period: remembered in localStorage and in the URL (?period=) so it can be bookmarked
+function setPeriod(spec) {
+  MONTH_FILTER = spec && SL_Period.isValid(spec) ? spec : "";
+  try { if (MONTH_FILTER) localStorage.setItem(LS_KEYS.MONTH, MONTH_FILTER); else localStorage.removeItem(LS_KEYS.MONTH); } catch {}
+  try {
+    const url = new URL(location.href);
+    if (MONTH_FILTER) url.searchParams.set('period', MONTH_FILTER); else url.searchParams.delete('period');
+    history.replaceState(history.state, '', url);
+  } catch {}
+  CURRENT_PAGE = 1;
+  rebuildMonthDropdown();
+  renderFilteredViews();
+}
+
+// Accounts, period and search bar: the slice every total, table and export works from
 function monthFilteredTxns() {
-  if (!MONTH_FILTER) return CURRENT_TXNS;
-  return CURRENT_TXNS.filter(t => {
-    const d = parseDateSmart(t.date);
-    return d && yyyymm(d) === MONTH_FILTER;
-  });
+  let txns = accountFilteredTxns();
+  const range = SL_Period.parse(MONTH_FILTER);
+  if (range) txns = txns.filter(t => SL_Period.contains(range, parseDateSmart(t.date)));
+  return SL_Search.filter(SEARCH, txns);
+}
+
+function setSearch(query) {
+  SEARCH_QUERY = String(query || '').trim();
+  const parsed = SL_Search.parse(SEARCH_QUERY);
+  SEARCH = !parsed.error && parsed.conditions.length ? parsed : null;
+  const box = document.getElementById('searchBox');
+  box.classList.toggle('invalid', !!parsed.error);
+  box.title = parsed.error || '';
+  document.getElementById('searchError').textContent = parsed.error || '';
+  CURRENT_PAGE = 1;
+  renderFilteredViews();
+}
+
+function searchLabel() {
+  return SEARCH ? `matching "${SEARCH_QUERY}"` : '';
+}
+
+// Budgets are monthly, so they only show when the period is a single month
+function budgetMonth() {
+  return /^\d{4}-\d{2}$/.test(MONTH_FILTER) ? MONTH_FILTER : '';
 }
 
+// Rule language lives in rules.js (KEYWORD => CATEGORY plus amount:, type:, day:, date:, /regex/, NOT, any:, account:)
 function parseRules(text) {
-  const lines = String(text || "").split(/\r?\n/);
-  const rules = [];
+  return SL_Rules.parseRules(text);
+}
+
+// Saved rules from before the rule language relied on a hardcoded "PETROL under $2 is COFFEE" case.
+// Rewrite it once as ordinary rules: each `X => PETROL` gets `X amount:<=2 => COFFEE` above it.
+// Keywords that now read as operators (`NOT`, `-word`) are quoted so they still match as words.
+function migrateLegacyRules(text) {
+  const lines = String(text || '').split(/\r?\n/).map(quoteLegacyOperators);
+  const out = [];
   for (const line of lines) {
+    const r = SL_Rules.parseRuleLine(line);
     const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-    const parts = trimmed.split(/=>/i);
-    if (parts.length >= 2) {
-      const keyword = parts[0].trim().toLowerCase();
-      const category = parts[1].trim().toUpperCase();
-      if (keyword && category) rules.push({ keyword, category });
+    if (trimmed && !trimmed.startsWith('#') && !r.error && r.category === 'PETROL' && !/\bamount:/i.test(trimmed)) {
+      const left = trimmed.slice(0, trimmed.lastIndexOf('=>')).trim();
+      const coffee = `${left} amount:<=2 => COFFEE`;
+      if (!lines.some(l => l.trim() === coffee)) out.push(coffee);
     }
+    out.push(line);
   }
-  return rules;
-}
-
-// flexible matcher to support multi-word (e.g., "paypal pypl")
-function matchesKeyword(descLower, keywordLower){
-  if (!keywordLower) return false;
-  const text = String(descLower || '').toLowerCase();
-  const tokens = String(keywordLower).toLowerCase().split(/\s+/).filter(Boolean);
-  if (!tokens.length) return false;
-  // Treat letters/digits/& . _ as "word" characters; anything else is a boundary.
-  const delim = '[^A-Za-z0-9&._]';
-  return tokens.every(tok => {
-    const safe = tok.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const re = new RegExp(`(?:^|${delim})${safe}(?:${delim}|$)`, 'i');
-    return re.test(text);
-  });
+  return out.join('\n');
+}
+
+// `NOT FOUND FEE => FEES` → `"NOT" FOUND FEE => FEES`
+function quoteLegacyOperators(line) {
+  const arrow = line.lastIndexOf('=>');
+  if (arrow === -1 || line.trim().startsWith('#')) return line;
+  return line.slice(0, arrow).replace(/(^|\s)(NOT|-[^\s"]+)(?=\s|$)/g, '$1"$2"') + line.slice(arrow);
+}
+
+// --- Rule explainer & diagnostics ---
+function ruleLabel(r) {
+  return `<code>${escapeHtml(r.text)}</code> <span class="muted">line ${r.line}</span>`;
+}
+
+function explainTransaction(idx) {
+  const t = CURRENT_TXNS[idx];
+  if (!t) return;
+  const { matched, winner } = SL_Rules.explain(CURRENT_RULES, t);
+  const ov = OVERRIDES.get(t.id);
+  let html = `<p><strong>${escapeHtml(t.description)}</strong><br><span class="muted">${escapeHtml(t.date)} · ${t.amount.toFixed(2)}${t.account ? ' · ' + escapeHtml(t.account) : ''}</span></p>`;
+  html += `<p>Category: <strong>${categoryLabel(t.category)}</strong> — `;
+  if (ov) html += 'set by a <strong>manual override</strong>, which beats every rule.';
+  else if (winner) html += `set by rule ${ruleLabel(winner)}.`;
+  else if (t.categorySource === 'file') html += 'no rule matches; kept the category from the imported file.';
+  else html += 'no rule matches.';
+  html += '</p>';
+  if (matched.length) {
+    html += '<table class="zebra"><tr><th>#</th><th>Rule</th><th>Category</th><th>Result</th></tr>';
+    matched.forEach((r, i) => {
+      const result = i === 0 ? (ov ? 'matched, but overridden' : '<strong>wins</strong>') : `shadowed by line ${winner.line}`;
+      html += `<tr><td>${i + 1}</td><td>${ruleLabel(r)}</td><td>${categoryLabel(r.category)}</td><td>${result}</td></tr>`;
+    });
+    html += '</table>';
+  }
+  SL_Modal.open({ title: 'Why this category?', wide: true, body: html });
+}
+
+function showRuleDiagnostics() {
+  const { rules, errors } = SL_Rules.parseRulesDetailed(document.getElementById('rulesBox').value);
+  const { unused, hidden, neverWins } = SL_Rules.diagnose(rules, CURRENT_TXNS);
+  const section = (title, items, render, empty) =>
+    `<h3>${title} <span class="muted">(${items.length})</span></h3>` +
+    (items.length ? `<ul class="diag-list">${items.map(x => `<li>${render(x)}</li>`).join('')}</ul>` : `<p class="sl-modal-note">${empty}</p>`);
+  let html = `<p class="sl-modal-note">${rules.length} rules checked against ${CURRENT_TXNS.length} loaded transactions.</p>`;
+  if (errors.length) html += section('Lines that could not be read', errors, e => `<code>${escapeHtml(e.text)}</code> <span class="muted">line ${e.line}: ${escapeHtml(e.error)}</span>`, '');
+  html += section('Hidden behind an earlier, broader rule', hidden, h => `${ruleLabel(h.rule)} — never reached because of ${ruleLabel(h.by)}`, 'None.');
+  html += section('Match transactions but never win', neverWins, r => `${ruleLabel(r)} — an earlier rule always matches first`, 'None.');
+  html += section('Match no loaded transaction', unused, r => ruleLabel(r), CURRENT_TXNS.length ? 'None.' : 'Load transactions to check this.');
+  SL_Modal.open({ title: 'Rule check', wide: true, body: html });
 }
 
-function categorise(txns, rules) {
+function categorise(txns, rules, overrides = OVERRIDES) {
   for (const t of txns) {
-    const descLower = String(t.desc || t.description || "").toLowerCase();
-    const amount = Math.abs(Number(t.amount || t.debit || 0));
-
-    // 1) normal rule match
-    let matched = null;
-    for (const r of rules) {
-      if (matchesKeyword(descLower, r.keyword)) {
-        matched = r.category;
-        break;
-      }
-    }
+    // 1) first matching rule wins
+    const rule = SL_Rules.firstMatch(rules, t);
+    const matched = rule ? rule.category : null;
 
-    // 2) special case: tiny purchases at petrol stations → Coffee
-    //    (do it based on the *resulting category*, not the description text)
-    if (matched && String(matched).toUpperCase() === "PETROL" && amount <= 2) {
-      matched = "COFFEE";
-    }
+    // 2) no rule: keep the category the file came with (e.g. QIF "L" field)
+    t.category = matched || t.sourceCategory || "UNCATEGORISED";
+    t.categorySource = matched ? 'rule' : (t.sourceCategory ? 'file' : 'none');
 
-    t.category = matched || "UNCATEGORISED";
+    // 3) a manual override always wins
+    const ov = t.id && overrides.get(t.id);
+    if (ov) { t.category = ov.category; t.categorySource = 'override'; }
   }
 }
 
 
-function computeCategoryTotals(txns) {
+// Category name with the colour dot and icon set in the category manager
+function categoryLabel(cat, text = toTitleCase(cat || 'UNCATEGORISED')) {
+  const { color, icon } = SL_Categories.getMeta(cat || 'UNCATEGORISED');
+  return `<span class="category-name${color ? ' has-color' : ''}"${color ? ` style="--cat-color:${color}"` : ''}>` +
+    `${icon ? `<span class="cat-icon">${escapeHtml(icon)}</span>` : ''}${escapeHtml(text)}</span>`;
+}
+
+// kind: 'expense' (spending positive, refunds reduce it) or 'income' (money received positive); transfers never count
+function computeCategoryTotals(txns, kind = 'expense') {
   const byCat = new Map();
   for (const t of txns) {
-    const cat = (t.category || 'UNCATEGORISED').toUpperCase(); const displayCat = toTitleCase(cat);
-    byCat.set(cat, (byCat.get(cat) || 0) + t.amount);
+    if (SL_CashFlow.kind(t) !== kind) continue;
+    const cat = (t.category || 'UNCATEGORISED').toUpperCase();
+    byCat.set(cat, (byCat.get(cat) || 0) + SL_CashFlow.signed(t, kind));
   }
   const rows = [...byCat.entries()].sort((a,b) => b[1]-a[1]);
   const grand = rows.reduce((acc, [,v]) => acc + v, 0);
@@ -196,49 +448,344 @@ function computeCategoryTotals(txns) {
 }
 
 function renderCategoryTotals(txns) {
-  const { rows, grand } = computeCategoryTotals(txns);
+  if (TOTALS_GROUP === 'merchant') return renderMerchantTotals(txns);
+  if (TOTALS_GROUP === 'trends') return renderCategoryTrends(txns);
   const totalsDiv = document.getElementById('categoryTotals');
-  let html = '<table class="cats"><colgroup><col class="col-cat"><col class="col-total"><col class="col-pct"></colgroup><thead><tr><th>Category</th><th class="num">Total</th><th class="num">%</th></tr></thead><tbody>';
-  for (const [cat, total] of rows) {
+  const budgets = budgetMonth() && SL_Budgets.any() ? budgetStatuses(budgetMonth()) : null;
+  const expenses = computeCategoryTotals(txns, 'expense');
+  const income = computeCategoryTotals(txns, 'income');
+  const transfers = SL_CashFlow.summary(txns).transfers;
+  let html = categoryTotalsTable(expenses, { title: 'Expenses', budgets });
+  if (!budgetMonth() && SL_Budgets.any()) html += '<p class="muted budget-hint">Pick a month to compare spending with your budgets.</p>';
+  if (income.rows.length) html += categoryTotalsTable(income, { title: 'Income' });
+  if (transfers >= 0.005) html += `<p class="muted">Transfers between your accounts ($${transfers.toFixed(2)}) are left out of both. <a href="#" class="review-transfers">Review transfers</a></p>`;
+  totalsDiv.innerHTML = html;
+
+  totalsDiv.querySelectorAll('button.cat-toggle').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const cat = btn.getAttribute('data-toggle');
+      if (!EXPANDED_CATS.delete(cat)) EXPANDED_CATS.add(cat);
+      try { localStorage.setItem(LS_KEYS.CATS_EXPANDED, JSON.stringify([...EXPANDED_CATS])); } catch {}
+      renderCategoryTotals(txns);
+    });
+  });
+  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
+    a.addEventListener('click', () => setCategoryFilter(a.getAttribute('data-cat')));
+  });
+  const review = totalsDiv.querySelector('a.review-transfers');
+  if (review) review.addEventListener('click', (e) => { e.preventDefault(); reviewTransfers(); });
+}
+
+// One category tree table; percentages are of this table's own total
+function categoryTotalsTable({ rows, grand }, { title, budgets = null }) {
+  const pct = (v) => `${(grand ? (v / grand * 100) : 0).toFixed(1)}%`;
+  let html = `<table class="cats"><caption>${escapeHtml(title)}</caption><colgroup><col class="col-cat"><col class="col-total"><col class="col-pct">${budgets ? '<col class="col-budget">' : ''}</colgroup><thead><tr><th>Category</th><th class="num">Total</th><th class="num">%</th>${budgets ? '<th class="budget-cell">Budget</th>' : ''}</tr></thead><tbody>`;
+  // Parents show the rollup of everything below them; children are listed under an expanded parent
+  const renderNode = (n, level) => {
+    const open = EXPANDED_CATS.has(n.cat);
+    const toggle = n.children.length
+      ? `<button class="cat-toggle" data-toggle="${escapeHtml(n.cat)}" aria-expanded="${open}" title="${open ? 'Collapse' : 'Expand'}">${open ? '▾' : '▸'}</button>`
+      : '<span class="cat-toggle"></span>';
+    html += `<tr class="${n.children.length ? 'cat-parent' : ''}">
+      <td style="padding-left:${8 + level * 18}px">${toggle}<a class="catlink" data-cat="${escapeHtml(n.cat)}" title="${escapeHtml(toTitleCase(n.cat))}">${categoryLabel(n.cat, toTitleCase(level ? n.name : n.cat))}</a></td>
+      <td class="num">${n.total.toFixed(2)}</td><td class="num">${pct(n.total)}</td>${budgets ? budgetCell(budgets.get(n.cat)) : ''}
+    </tr>`;
+    if (!open || !n.children.length) return;
+    if (Math.abs(n.own) >= 0.005) {
+      html += `<tr><td style="padding-left:${8 + (level + 1) * 18}px"><span class="cat-toggle"></span><span class="muted">(no subcategory)</span></td>
+        <td class="num">${n.own.toFixed(2)}</td><td class="num">${pct(n.own)}</td>${budgets ? '<td></td>' : ''}</tr>`;
+    }
+    n.children.forEach(c => renderNode(c, level + 1));
+  };
+  SL_Categories.tree(rows).forEach(n => renderNode(n, 0));
+  if (!rows.length) html += `<tr><td colspan="${budgets ? 4 : 3}" class="muted">Nothing in this view.</td></tr>`;
+  html += `</tbody><tfoot><tr><td>Total ${escapeHtml(title.toLowerCase())}</td><td class="num">${grand.toFixed(2)}</td><td class="num">100%</td>${budgets ? '<td></td>' : ''}</tr></tfoot></table>`;
+  return html;
+}
+
+// Show only this category (and everything under it) in the transactions table
+function setCategoryFilter(cat) {
+  CURRENT_FILTER = cat ? SL_Categories.normalise(cat) : null;
+  try { localStorage.setItem(LS_KEYS.FILTER, CURRENT_FILTER || ''); } catch {}
+  updateFilterUI(); CURRENT_PAGE = 1;
+  renderTransactionsTable();
+}
+
+// --- Budgets ---
+// Budget state for every budgeted category in `month`; rollover needs each earlier month's spend too
+// `txns` spans every month (not just the period), so rollover can look back
+function budgetStatuses(month, txns = accountFilteredTxns()) {
+  const list = SL_Budgets.all();
+  const spend = new Map(list.map(b => [b.cat, new Map()]));
+  const months = new Set();
+  let dataEnd = null;
+  for (const t of txns) {
+    const d = parseDateSmart(t.date);
+    if (!d) continue;
+    const m = yyyymm(d);
+    months.add(m);
+    if (!dataEnd || d > dataEnd) dataEnd = d;
+    // Spend as the Expenses totals count it: refunds reduce it, income and transfers are left out
+    if (SL_CashFlow.kind(t) !== 'expense') continue;
+    for (const b of list) {
+      if (!SL_Categories.isWithin(t.category || 'UNCATEGORISED', b.cat)) continue;
+      const byMonth = spend.get(b.cat);
+      byMonth.set(m, (byMonth.get(m) || 0) + SL_CashFlow.signed(t, 'expense'));
+    }
+  }
+  const out = new Map();
+  for (const b of list) {
+    const byMonth = spend.get(b.cat);
+    months.forEach(m => { if (!byMonth.has(m)) byMonth.set(m, 0); });
+    out.set(b.cat, SL_Budgets.status(b.cat, month, byMonth, new Date(), dataEnd));
+  }
+  return out;
+}
+
+function budgetCell(st) {
+  if (!st) return '<td class="budget-cell"></td>';
+  const carried = st.carried > 0.005 ? ` (incl. $${st.carried.toFixed(2)} rolled over)` : '';
+  const left = st.remaining >= 0 ? `$${st.remaining.toFixed(2)} left` : `$${(-st.remaining).toFixed(2)} over`;
+  const flag = st.status === 'over' ? ' <span class="budget-flag">⚠ over</span>'
+    : st.status === 'trending' ? ` <span class="budget-flag" title="On track for $${st.projected.toFixed(2)} by the end of the month, at the pace so far">↗ trending over</span>` : '';
+  return `<td class="budget-cell budget-${st.status}" title="$${st.spent.toFixed(2)} of $${st.available.toFixed(2)}${carried}">
+    <div class="budget-bar" role="img" aria-label="${Math.round(st.pct)}% of budget used"><span style="width:${Math.min(100, Math.max(0, st.pct)).toFixed(1)}%"></span></div>
+    <span class="budget-text">${Math.round(st.pct)}% of $${st.available.toFixed(2)} · ${left}</span>${flag}</td>`;
+}
+
+function openBudgets() {
+  const rows = categoryStats().filter(r => r.cat !== 'UNCATEGORISED');
+  const months = new Set(accountFilteredTxns().map(t => parseDateSmart(t.date)).filter(Boolean).map(yyyymm)).size || 1;
+  const modal = SL_Modal.open({
+    title: 'Monthly budgets',
+    wide: true,
+    body: `<p class="sl-modal-note">Leave a budget empty for none. With rollover, money left at the end of a month is added to the next month's budget.</p>
+      <table class="zebra"><thead><tr><th>Category</th><th class="num">Avg / month</th><th>Budget</th><th>Rollover</th></tr></thead><tbody>
+      ${rows.map((r, i) => {
+        const b = SL_Budgets.get(r.cat) || {};
+        return `<tr><td style="padding-left:${8 + SL_Categories.depth(r.cat) * 18}px">${categoryLabel(r.cat, toTitleCase(SL_Categories.depth(r.cat) ? SL_Categories.leaf(r.cat) : r.cat))}</td>
+          <td class="num">${(r.total / months).toFixed(2)}</td>
+          <td><input type="number" min="0" step="0.01" data-budget="${i}" value="${b.amount || ''}" aria-label="Monthly budget"></td>
+          <td><input type="checkbox" data-rollover="${i}"${b.rollover ? ' checked' : ''} aria-label="Roll over unspent"></td></tr>`;
+      }).join('')}</tbody></table>`,
+    actions: [
+      { label: 'Cancel' },
+      { label: 'Save budgets', primary: true, onClick: () => {
+        rows.forEach((r, i) => SL_Budgets.set(r.cat, {
+          amount: modal.body.querySelector(`[data-budget="${i}"]`).value,
+          rollover: modal.body.querySelector(`[data-rollover="${i}"]`).checked
+        }));
+        renderCategoryTotals(monthFilteredTxns());
+      } }
+    ]
+  });
+}
+
+// Same spend grouped by cleaned-up merchant name; a merchant's category is the one most of its rows have
+// Spending only, like the expense table: income and transfers would net into the merchants they came from
+function computeMerchantTotals(txns) {
+  const byMerchant = new Map();
+  let count = 0;
+  for (const t of txns) {
+    if (SL_CashFlow.kind(t) !== 'expense') continue;
+    count++;
+    const m = SL_Merchant.normalise(t.description);
+    if (!byMerchant.has(m)) byMerchant.set(m, { merchant: m, total: 0, count: 0, cats: new Map(), first: t });
+    const g = byMerchant.get(m);
+    g.total += t.amount; g.count++;
+    const cat = (t.category || 'UNCATEGORISED').toUpperCase();
+    g.cats.set(cat, (g.cats.get(cat) || 0) + 1);
+  }
+  const rows = [...byMerchant.values()].map(g => ({ ...g, category: [...g.cats.entries()].sort((a,b) => b[1]-a[1])[0][0] }))
+    .sort((a,b) => b.total - a.total);
+  const grand = rows.reduce((acc, r) => acc + r.total, 0);
+  return { rows, grand, count };
+}
+
+function renderMerchantTotals(txns) {
+  const { rows, grand, count } = computeMerchantTotals(txns);
+  const totalsDiv = document.getElementById('categoryTotals');
+  let html = '<table class="cats"><thead><tr><th>Merchant</th><th>Category</th><th class="num">Count</th><th class="num">Total</th><th class="num">%</th></tr></thead><tbody>';
+  rows.forEach((r, i) => {
     html += `<tr>
-      <td><a class="catlink" data-cat="${escapeHtml(cat)}"><span class="category-name">${escapeHtml(toTitleCase(cat))}</span></a></td>
-      <td class="num">${total.toFixed(2)}</td><td class="num">${(grand ? (total / grand * 100) : 0).toFixed(1)}%</td>
+      <td><a class="catlink" data-merchant="${i}" title="Add a rule for this merchant">${escapeHtml(toTitleCase(r.merchant))}</a></td>
+      <td>${categoryLabel(r.category)}${r.cats.size > 1 ? ' <span class="muted">+' + (r.cats.size - 1) + '</span>' : ''}</td>
+      <td class="num">${r.count}</td><td class="num">${r.total.toFixed(2)}</td><td class="num">${(grand ? (r.total / grand * 100) : 0).toFixed(1)}%</td>
     </tr>`;
+  });
+  html += `</tbody><tfoot><tr><td>Total</td><td></td><td class="num">${count}</td><td class="num">${grand.toFixed(2)}</td><td class="num">100%</td></tr></tfoot></table>`;
+  totalsDiv.innerHTML = html;
+
+  totalsDiv.querySelectorAll('a[data-merchant]').forEach(a => {
+    a.addEventListener('click', () => assignCategory_OLD(CURRENT_TXNS.indexOf(rows[Number(a.dataset.merchant)].first)));
+  });
+}
+
+// Expense categories × months over the current period, same tree and toggles as the totals
+function renderCategoryTrends(txns) {
+  const { months, series, rows } = SL_Trends.build(txns.filter(t => SL_CashFlow.kind(t) === 'expense'));
+  const totalsDiv = document.getElementById('categoryTotals');
+  if (months.length < 2) {
+    totalsDiv.innerHTML = '<p class="muted">Trends need at least two months. Pick a longer period, such as a quarter, a financial year or All months.</p>';
+    return;
   }
-  html += `</tbody><tfoot><tr><td>Total</td><td class="num">${grand.toFixed(2)}</td><td class="num">100%</td></tr></tfoot></table>`;
+  const money = (v) => `${v < 0 ? '−' : '+'}${Math.abs(v).toFixed(2)}`;
+  const pctText = (p) => p == null ? '' : ` (${p < 0 ? '−' : '+'}${Math.abs(p).toFixed(0)}%)`;
+  const monthHead = (ym) => { const [y, m] = ym.split('-').map(Number); return new Date(y, m - 1, 1).toLocaleString(undefined, { month: 'short', year: '2-digit' }); };
+  // Spending going up is the thing to notice, so up is flagged and a jump well over the trailing average is highlighted
+  const cell = (values, i) => {
+    const d = SL_Trends.deltas(values, i);
+    const title = [`${formatMonthLabel(months[i])}: ${values[i].toFixed(2)}`,
+      d.vsPrev != null ? `vs prior month: ${money(d.vsPrev)}${pctText(d.vsPrevPct)}` : '',
+      d.vsAvg != null ? `vs ${SL_Trends.TRAILING}-month average (${d.avg.toFixed(2)}): ${money(d.vsAvg)}${pctText(d.vsAvgPct)}` : ''].filter(Boolean).join('\n');
+    const spike = d.vsAvg != null && d.vsAvg >= 10 && (d.vsAvgPct == null || d.vsAvgPct >= 25);
+    const delta = d.vsPrev == null || Math.abs(d.vsPrev) < 0.005 ? ''
+      : `<div class="trend-delta ${d.vsPrev > 0 ? 'trend-up' : 'trend-down'}">${d.vsPrev > 0 ? '▲' : '▼'} ${Math.abs(d.vsPrev).toFixed(2)}</div>`;
+    return `<td class="num${spike ? ' trend-spike' : ''}" title="${escapeHtml(title)}">${Math.abs(values[i]) < 0.005 ? '<span class="muted">–</span>' : values[i].toFixed(2)}${delta}</td>`;
+  };
+  const lastVsAvg = (values) => {
+    const d = SL_Trends.deltas(values, values.length - 1);
+    if (d.vsAvg == null) return '<td></td>';
+    return `<td class="num ${d.vsAvg > 0.005 ? 'trend-up' : (d.vsAvg < -0.005 ? 'trend-down' : '')}">${money(d.vsAvg)}<div class="trend-delta">${pctText(d.vsAvgPct).trim()}</div></td>`;
+  };
+
+  let html = `<div class="trends-wrap"><table class="cats trends"><thead><tr><th>Category</th><th>Trend</th>` +
+    months.map(m => `<th class="num">${escapeHtml(monthHead(m))}</th>`).join('') +
+    `<th class="num">Avg</th><th class="num" title="Latest month against the ${SL_Trends.TRAILING} months before it">Latest vs avg</th></tr></thead><tbody>`;
+  const renderNode = (n, level) => {
+    const values = series.get(n.cat) || months.map(() => 0);
+    const open = EXPANDED_CATS.has(n.cat);
+    const toggle = n.children.length
+      ? `<button class="cat-toggle" data-toggle="${escapeHtml(n.cat)}" aria-expanded="${open}" title="${open ? 'Collapse' : 'Expand'}">${open ? '▾' : '▸'}</button>`
+      : '<span class="cat-toggle"></span>';
+    html += `<tr class="${n.children.length ? 'cat-parent' : ''}">
+      <td style="padding-left:${8 + level * 18}px">${toggle}<a class="catlink" data-cat="${escapeHtml(n.cat)}" title="${escapeHtml(toTitleCase(n.cat))}">${categoryLabel(n.cat, toTitleCase(level ? n.name : n.cat))}</a></td>
+      <td>${SL_Trends.sparkline(values)}</td>${values.map((_, i) => cell(values, i)).join('')}
+      <td class="num">${(values.reduce((a, v) => a + v, 0) / values.length).toFixed(2)}</td>${lastVsAvg(values)}
+    </tr>`;
+    if (open) n.children.forEach(c => renderNode(c, level + 1));
+  };
+  SL_Categories.tree(rows).forEach(n => renderNode(n, 0));
+  const all = months.map((_, i) => [...series].filter(([cat]) => !SL_Categories.parent(cat)).reduce((a, [, v]) => a + v[i], 0));
+  html += `</tbody><tfoot><tr><td>Total</td><td>${SL_Trends.sparkline(all)}</td>${all.map(v => `<td class="num">${v.toFixed(2)}</td>`).join('')}` +
+    `<td class="num">${(all.reduce((a, v) => a + v, 0) / all.length).toFixed(2)}</td>${lastVsAvg(all)}</tr></tfoot></table></div>`;
   totalsDiv.innerHTML = html;
 
-  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
-    a.addEventListener('click', () => {
-      CURRENT_FILTER = a.getAttribute('data-cat');
-      try { localStorage.setItem(LS_KEYS.FILTER, CURRENT_FILTER || ''); } catch {}
-      updateFilterUI(); CURRENT_PAGE = 1;
-      renderTransactionsTable();
+  totalsDiv.querySelectorAll('button.cat-toggle').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const cat = btn.getAttribute('data-toggle');
+      if (!EXPANDED_CATS.delete(cat)) EXPANDED_CATS.add(cat);
+      try { localStorage.setItem(LS_KEYS.CATS_EXPANDED, JSON.stringify([...EXPANDED_CATS])); } catch {}
+      renderCategoryTrends(txns);
     });
   });
+  totalsDiv.querySelectorAll('a.catlink').forEach(a => {
+    a.addEventListener('click', () => setCategoryFilter(a.getAttribute('data-cat')));
+  });
+}
+
+// --- Charts ---
+const CHART_MAX_STACKS = 8; // categories in the monthly chart before the rest are lumped into "Other"
+
+function chartSettings() {
+  try { return { open: false, split: 'donut', ...JSON.parse(localStorage.getItem(LS_KEYS.CHARTS) || '{}') }; } catch { return { open: false, split: 'donut' }; }
+}
+function saveChartSettings(patch) {
+  try { localStorage.setItem(LS_KEYS.CHARTS, JSON.stringify({ ...chartSettings(), ...patch })); } catch {}
+}
+
+// Top-level categories of the current view, biggest first, with their colour from the category manager
+function chartCategoryItems(txns) {
+  const { rows } = computeCategoryTotals(txns);
+  return SL_Categories.tree(rows).map(n => ({ key: n.cat, label: toTitleCase(n.cat), value: n.total, color: SL_Categories.getMeta(n.cat).color }));
+}
+
+// Cumulative spend through one month against an even pace to the month's budget.
+// With budgets: the budgeted categories (outermost budget only, so nested ones aren't counted twice); without: all expenses.
+// Spend and budget both come from the accounts and search as shown, over every month, so the two lines compare.
+function cumulativeChart(txns) {
+  const months = [...new Set(txns.map(t => parseDateSmart(t.date)).filter(Boolean).map(yyyymm))].sort();
+  const month = budgetMonth() || months[months.length - 1];
+  if (!month) return '';
+  const scope = SL_Search.filter(SEARCH, accountFilteredTxns());
+  const budgets = SL_Budgets.any() ? budgetStatuses(month, scope) : new Map();
+  const outer = [...budgets.keys()].filter(cat => budgets.get(cat) && !SL_Categories.lineage(cat).slice(0, -1).some(p => budgets.get(p)));
+  const inScope = (t) => SL_CashFlow.kind(t) === 'expense' && (!outer.length || outer.some(cat => SL_Categories.isWithin(t.category || 'UNCATEGORISED', cat)));
+  const [y, m] = month.split('-').map(Number);
+  const days = new Date(y, m, 0).getDate();
+  const daily = new Array(days).fill(0);
+  for (const t of scope) {
+    const d = parseDateSmart(t.date);
+    if (d && yyyymm(d) === month && inScope(t)) daily[d.getDate() - 1] += Number(t.amount) || 0;
+  }
+  const today = new Date();
+  const lastDay = yyyymm(today) === month ? today.getDate() : days;
+  let acc = 0;
+  const spent = daily.map((v, i) => { acc += v; return i < lastDay ? acc : null; });
+  const available = outer.reduce((a, cat) => a + budgets.get(cat).available, 0);
+  const series = [{ label: outer.length ? 'Spent (budgeted categories)' : 'Spent', values: spent }];
+  if (available) series.push({ label: `Budget ${available.toFixed(2)}, spent evenly`, values: daily.map((_, i) => available * (i + 1) / days), color: '#999', dashed: true });
+  const labels = daily.map((_, i) => String(i + 1));
+  return `<h3>Spending through ${escapeHtml(formatMonthLabel(month))}</h3>` + SL_Charts.lines(labels, series) + SL_Charts.legend(series) +
+    (available ? '' : '<p class="muted">Set budgets to compare this with your monthly budget.</p>');
+}
+
+function renderCharts(txns = monthFilteredTxns()) {
+  const panel = document.getElementById('chartsDetails');
+  const el = document.getElementById('charts');
+  if (!panel || !panel.open) return;
+  if (!txns.length) { el.innerHTML = '<p class="muted">No transactions in this view.</p>'; return; }
+  const split = chartSettings().split;
+  const items = chartCategoryItems(txns);
+  const splitSvg = split === 'bars' ? SL_Charts.bars(items) : SL_Charts.donut(items);
+
+  const { months, series, rows } = SL_Trends.build(txns.filter(t => SL_CashFlow.kind(t) === 'expense'));
+  const top = SL_Categories.tree(rows).filter(n => n.total > 0);
+  const stacks = top.slice(0, CHART_MAX_STACKS).map(n => ({ key: n.cat, label: toTitleCase(n.cat), color: SL_Categories.getMeta(n.cat).color, values: series.get(n.cat) }));
+  if (top.length > CHART_MAX_STACKS) {
+    const rest = top.slice(CHART_MAX_STACKS).map(n => series.get(n.cat));
+    stacks.push({ label: 'Other', color: '#bbb', values: months.map((_, i) => rest.reduce((a, v) => a + Math.max(0, v[i]), 0)) });
+  }
+  const monthLabels = months.map(ym => { const [y, m] = ym.split('-').map(Number); return new Date(y, m - 1, 1).toLocaleString(undefined, { month: 'short', year: '2-digit' }); });
+
+  el.innerHTML = `<div class="chart-block"><h3>Category split</h3>${splitSvg || '<p class="muted">No spending in this view.</p>'}${split === 'bars' ? '' : SL_Charts.legend(items.filter(x => x.value > 0))}</div>` +
+    `<div class="chart-block"><h3>Spending by month</h3>${SL_Charts.stacked(monthLabels, stacks)}${SL_Charts.legend(stacks)}</div>` +
+    `<div class="chart-block">${cumulativeChart(txns)}</div>`;
+}
+
+function setTotalsGroup(group) {
+  TOTALS_GROUP = ['merchant', 'trends'].includes(group) ? group : 'category';
+  try { localStorage.setItem(LS_KEYS.TOTALS_GROUP, TOTALS_GROUP); } catch {}
+  renderCategoryTotals(monthFilteredTxns());
 }
 
 
 
+// Cash flow for the rows the table shows: income, expenses (after refunds), what's left and the savings rate
 function renderMonthTotals() {
-  // Use the same filtered set as the transactions table
   const txns = getFilteredTxns(monthFilteredTxns());
-  let debit = 0, credit = 0, count = 0;
-  for (const t of txns) {
-    const amt = Number(t.amount) || 0;
-    if (amt > 0) debit += amt; else credit += Math.abs(amt);
-    count++;
-  }
-  const net = debit - credit;
   const el = document.getElementById('monthTotals');
-  if (el) {
-    const label = friendlyMonthOrAll(MONTH_FILTER);
-    const cat = CURRENT_FILTER ? ` + category "${CURRENT_FILTER}"` : "";
-    el.innerHTML = `Showing <span class="badge">${count}</span> transactions for <strong>${friendlyMonthOrAll(MONTH_FILTER)}${cat}</strong> · ` +
-                   `Debit: <strong>$${debit.toFixed(2)}</strong> · ` +
-                   `Credit: <strong>$${credit.toFixed(2)}</strong> · ` +
-                   `Net: <strong>$${net.toFixed(2)}</strong>`;
+  if (!el) return;
+  const cf = SL_CashFlow.summary(txns);
+  const rate = (r) => r == null ? '–' : `${(r * 100).toFixed(1)}%`;
+  const cat = CURRENT_FILTER ? ` + category "${escapeHtml(CURRENT_FILTER)}"` : "";
+  const accts = accountFilterLabel();
+  const acct = accts ? ` (${escapeHtml(accts)})` : "";
+  const search = SEARCH ? ` ${escapeHtml(searchLabel())}` : "";
+  let html = `Showing <span class="badge">${cf.count}</span> transactions for <strong>${friendlyMonthOrAll(MONTH_FILTER)}${cat}${acct}${search}</strong> · ` +
+    `Income: <strong>$${cf.income.toFixed(2)}</strong> · ` +
+    `Expenses: <strong>$${cf.expenses.toFixed(2)}</strong>${cf.refunds >= 0.005 ? ` <span title="Money back under expense categories">(after $${cf.refunds.toFixed(2)} refunds)</span>` : ''} · ` +
+    `${cf.net < 0 ? 'Overspent' : 'Saved'}: <strong>$${Math.abs(cf.net).toFixed(2)}</strong> · ` +
+    `Savings rate: <strong>${rate(cf.savingsRate)}</strong>` +
+    (cf.transfers >= 0.005 ? ` · Transfers: $${cf.transfers.toFixed(2)} (not counted)` : '');
+  const months = SL_CashFlow.byMonth(txns);
+  if (months.length > 1) {
+    html += `<details class="cashflow-months"><summary>By month</summary><table class="zebra"><thead><tr><th>Month</th><th class="num">Income</th><th class="num">Expenses</th><th class="num">Saved</th><th class="num">Savings rate</th></tr></thead><tbody>` +
+      months.map(m => `<tr><td>${escapeHtml(formatMonthLabel(m.month))}</td><td class="num">${m.income.toFixed(2)}</td><td class="num">${m.expenses.toFixed(2)}</td>` +
+        `<td class="num${m.net < 0 ? ' cashflow-negative' : ''}">${m.net.toFixed(2)}</td><td class="num">${rate(m.savingsRate)}</td></tr>`).join('') +
+      `</tbody></table></details>`;
   }
+  el.innerHTML = html;
 }
 
 function applyRulesAndRender({keepPage = false} = {}) { 
@@ -246,13 +793,25 @@ function applyRulesAndRender({keepPage = false} = {}) {
     CURRENT_PAGE = 1;
   }
   CURRENT_RULES = parseRules(document.getElementById('rulesBox').value);
-  try { localStorage.setItem(LS_KEYS.RULES, document.getElementById('rulesBox').value); } catch {}
+  persistRules(document.getElementById('rulesBox').value);
+  categorise(CURRENT_TXNS, CURRENT_RULES);
+  TRANSFER_PAIRS = SL_Transfers.apply(CURRENT_TXNS);
+  const activeTransfers = TRANSFER_PAIRS.filter(p => p.status !== 'rejected').length;
+  document.getElementById('transfersBtn').textContent = activeTransfers ? `Transfers (${activeTransfers})` : 'Transfers';
+  SUGGESTIONS = SL_Classifier.suggest(CURRENT_TXNS);
+  document.getElementById('suggestionsBtn').textContent = SUGGESTIONS.size ? `Suggestions (${SUGGESTIONS.size})` : 'Suggestions';
+  renderFilteredViews();
+  renderOverridesPanel();
+  SL_RuleEditor.refresh();
+}
+
+// Totals, table and charts for the current slice; enough when only the accounts, period or search changed
+function renderFilteredViews() {
   const txns = monthFilteredTxns();
-  categorise(txns, CURRENT_RULES);
   renderMonthTotals();
   renderCategoryTotals(txns);
   renderTransactionsTable(txns);
-  saveTxnsToLocalStorage();
+  renderCharts(txns);
   try { updateMonthBanner(); } catch {}
 }
 
@@ -298,40 +857,54 @@ function exportTotalsold() {
 }
 function exportTotals() {
   const txns = monthFilteredTxns();
-  const { rows, grand } = computeCategoryTotals(txns);
+  const expenses = computeCategoryTotals(txns, 'expense');
+  const income = computeCategoryTotals(txns, 'income');
+  const cf = SL_CashFlow.summary(txns);
 
   const label = friendlyMonthOrAll(MONTH_FILTER || getFirstTxnMonth(txns) || new Date());
   const header = `SpendLite Category Totals (${label})`;
 
   // dynamic widths for neat alignment
-  const catWidth = Math.max(8, ...rows.map(([cat]) => toTitleCase(cat).length), 'Category'.length);
+  const catWidth = Math.max(8, ...[...expenses.rows, ...income.rows].map(([cat]) => toTitleCase(cat).length), 'Category'.length, 'Transfers (not counted)'.length);
   const amtWidth = 12;
   const pctWidth = 6;
 
   const lines = [];
   lines.push(header);
   lines.push('='.repeat(header.length));
-  lines.push(
-    'Category'.padEnd(catWidth) + ' ' +
-    'Amount'.padStart(amtWidth) + ' ' +
-    '%'.padStart(pctWidth)
-  );
 
-  for (const [cat, total] of rows) {
-    const pct = grand ? (total / grand * 100) : 0;
+  const section = (title, { rows, grand }) => {
+    lines.push('');
+    lines.push(title);
     lines.push(
-      toTitleCase(cat).padEnd(catWidth) + ' ' +
-      total.toFixed(2).padStart(amtWidth) + ' ' +
-      (pct.toFixed(1) + '%').padStart(pctWidth)
+      'Category'.padEnd(catWidth) + ' ' +
+      'Amount'.padStart(amtWidth) + ' ' +
+      '%'.padStart(pctWidth)
     );
-  }
+    for (const [cat, total] of rows) {
+      const pct = grand ? (total / grand * 100) : 0;
+      lines.push(
+        toTitleCase(cat).padEnd(catWidth) + ' ' +
+        total.toFixed(2).padStart(amtWidth) + ' ' +
+        (pct.toFixed(1) + '%').padStart(pctWidth)
+      );
+    }
+    lines.push(
+      `TOTAL ${title.toUpperCase()}`.padEnd(catWidth) + ' ' +
+      grand.toFixed(2).padStart(amtWidth) + ' ' +
+      '100%'.padStart(pctWidth)
+    );
+  };
+  section('Expenses', expenses);
+  if (income.rows.length) section('Income', income);
 
   lines.push('');
-  lines.push(
-    'TOTAL'.padEnd(catWidth) + ' ' +
-    grand.toFixed(2).padStart(amtWidth) + ' ' +
-    '100%'.padStart(pctWidth)
-  );
+  lines.push('Cash flow');
+  lines.push('Income'.padEnd(catWidth) + ' ' + cf.income.toFixed(2).padStart(amtWidth));
+  lines.push('Expenses'.padEnd(catWidth) + ' ' + cf.expenses.toFixed(2).padStart(amtWidth));
+  lines.push((cf.net < 0 ? 'Overspent' : 'Saved').padEnd(catWidth) + ' ' + Math.abs(cf.net).toFixed(2).padStart(amtWidth));
+  if (cf.savingsRate != null) lines.push('Savings rate'.padEnd(catWidth) + ' ' + ((cf.savingsRate * 100).toFixed(1) + '%').padStart(amtWidth));
+  if (cf.transfers >= 0.005) lines.push('Transfers (not counted)'.padEnd(catWidth) + ' ' + cf.transfers.toFixed(2).padStart(amtWidth));
 
   const blob = new Blob([lines.join('\n')], { type: 'text/plain' });
   const a = document.createElement('a');
@@ -342,10 +915,23 @@ function exportTotals() {
   a.remove();
 }
 
+function exportQif() {
+  const txns = monthFilteredTxns();
+  if (!txns.length) { alert('No transactions to export.'); return; }
+  const label = friendlyMonthOrAll(MONTH_FILTER || getFirstTxnMonth(txns) || new Date());
+  const blob = new Blob([SL_QIF.stringify(txns)], { type: 'application/qif' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `transactions_${forFilename(label)}.qif`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
 
 function getFilteredTxns(txns) {
   if (!CURRENT_FILTER) return txns;
-  return txns.filter(t => (t.category || 'UNCATEGORISED').toUpperCase() === CURRENT_FILTER);
+  return txns.filter(t => SL_Categories.isWithin(t.category || 'UNCATEGORISED', CURRENT_FILTER));
 }
 
 function updateFilterUI() {
@@ -358,80 +944,368 @@ function updateFilterUI() {
 function updateMonthBanner() {
   const banner = document.getElementById('monthBanner');
   const label = friendlyMonthOrAll(MONTH_FILTER);
-  banner.textContent = `— ${label}`;
+  const accts = accountFilterLabel();
+  banner.textContent = `— ${label}` + (accts ? ` · ${accts}` : '') + (SEARCH ? ` · ${searchLabel()}` : '');
+}
+
+// Optional columns of the transactions table; notes and tags are edited in place
+const TXN_COLUMNS = {
+  account:  { label: 'Account',  value: (t) => t.account || '' },
+  merchant: { label: 'Merchant', value: (t) => toTitleCase(SL_Merchant.normalise(t.description)) },
+  notes:    { label: 'Notes',    value: (t) => t.notes != null ? t.notes : (t.memo || ''), edit: 'notes' },
+  tags:     { label: 'Tags',     value: (t) => (t.tags || []).join(', '), edit: 'tags' }
+};
+const TXN_SORT_KEYS = {
+  date: (t) => { const d = parseDateSmart(t.date); return d ? d.getTime() : -Infinity; },
+  amount: (t) => Number(t.amount) || 0,
+  category: (t) => t.category || 'UNCATEGORISED',
+  description: (t) => t.description || '',
+  ...Object.fromEntries(Object.entries(TXN_COLUMNS).map(([k, c]) => [k, c.value]))
+};
+const TXN_ROW_HEIGHT = 40; // px; fixed in scroll mode (see style.css) so only the visible rows need rendering
+
+function saveTxnView() {
+  try { localStorage.setItem(LS_KEYS.TXNS_VIEW, JSON.stringify(TXN_VIEW)); } catch {}
+}
+
+function loadTxnView() {
+  try {
+    const v = JSON.parse(localStorage.getItem(LS_KEYS.TXNS_VIEW) || 'null');
+    if (!v) return;
+    TXN_VIEW = {
+      sort: TXN_SORT_KEYS[v.sort] ? v.sort : '',
+      dir: v.dir === -1 ? -1 : 1,
+      columns: Array.isArray(v.columns) ? v.columns.filter(c => TXN_COLUMNS[c]) : ['account'],
+      pageSize: PAGE_SIZES.includes(v.pageSize) ? v.pageSize : 10,
+      scroll: !!v.scroll
+    };
+  } catch {}
+}
+
+// Sorting is stable, so equal keys keep import order; '' sort is import order
+function sortTxns(txns) {
+  const key = TXN_SORT_KEYS[TXN_VIEW.sort];
+  if (!key) return txns;
+  const dir = TXN_VIEW.dir;
+  return txns.map(t => [key(t), t]).sort((a, b) => {
+    const x = a[0], y = b[0];
+    const c = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y), undefined, { sensitivity: 'base', numeric: true });
+    return c * dir;
+  }).map(p => p[1]);
+}
+
+// Click a header: ascending, then descending, then back to import order
+function setTxnSort(key) {
+  if (TXN_VIEW.sort !== key) TXN_VIEW = { ...TXN_VIEW, sort: key, dir: 1 };
+  else if (TXN_VIEW.dir === 1) TXN_VIEW = { ...TXN_VIEW, dir: -1 };
+  else TXN_VIEW = { ...TXN_VIEW, sort: '', dir: 1 };
+  saveTxnView();
+  renderTransactionsTable();
+}
+
+function txnRowHtml(t) {
+  const idx = TXN_INDEX.get(t);
+  const cat = (t.category || 'UNCATEGORISED').toUpperCase(); const displayCat = toTitleCase(cat);
+  const extra = (key) => {
+    const col = TXN_COLUMNS[key];
+    const val = col.value(t);
+    return col.edit
+      ? `<td class="cell-edit" data-edit="${col.edit}" data-id="${escapeHtml(t.id)}" title="Click to edit ${col.label.toLowerCase()}">${escapeHtml(val) || '<span class="muted">+</span>'}</td>`
+      : `<td>${escapeHtml(val)}</td>`;
+  };
+  const cols = TXN_VIEW.columns;
+  return `<tr${SELECTED.has(t.id) ? ' class="selected"' : ''}>
+      <td><input type="checkbox" class="row-select" data-id="${escapeHtml(t.id)}"${SELECTED.has(t.id) ? ' checked' : ''} aria-label="Select"></td>
+      <td>${escapeHtml(t.date)}</td>${cols.includes('account') ? extra('account') : ''}
+      <td class="num">${t.amount.toFixed(2)}</td>
+      <td>${categoryLabel(cat, displayCat)}${t.categorySource === 'override' ? ' <span class="override-mark" title="Manual override">✎</span>' : ''}${transferMark(t)}${suggestionChip(t, idx)}</td>
+      <td>${escapeHtml(t.description)}</td>${cols.filter(c => c !== 'account').map(extra).join('')}
+      <td class="row-actions"><button class="rule-btn" onclick="assignCategory(${idx})">+</button><button class="rule-btn secondary" onclick="explainTransaction(${idx})" title="Why this category?">?</button></td>
+    </tr>`;
 }
 
 function renderTransactionsTable(txns = monthFilteredTxns()) {
-  const filtered = getFilteredTxns(txns);
-  const totalPages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
-  if (CURRENT_PAGE > totalPages) CURRENT_PAGE = totalPages;
-  if (CURRENT_PAGE < 1) CURRENT_PAGE = 1;
-  const start = (CURRENT_PAGE - 1) * PAGE_SIZE;
-  const pageItems = filtered.slice(start, start + PAGE_SIZE);
+  const filtered = sortTxns(getFilteredTxns(txns));
+  TXN_ROWS = filtered;
+  TXN_INDEX = new Map(CURRENT_TXNS.map((t, i) => [t, i]));
   const table = document.getElementById('transactionsTable');
-  let html = '<tr><th>Date</th><th>Amount</th><th>Category</th><th>Description</th><th></th></tr>';
-  pageItems.forEach((t) => {
-    const idx = CURRENT_TXNS.indexOf(t);
-    const cat = (t.category || 'UNCATEGORISED').toUpperCase(); const displayCat = toTitleCase(cat);
-    html += `<tr>
-      <td>${escapeHtml(t.date)}</td>
-      <td>${t.amount.toFixed(2)}</td>
-      <td><span class="category-name">${escapeHtml(displayCat)}</span></td>
-      <td>${escapeHtml(t.description)}</td>
-      <td><button class="rule-btn" onclick="assignCategory(${idx})">+</button></td>
-    </tr>`;
+  const filteredIds = new Set(filtered.map(t => t.id));
+  SELECTED = new Set([...SELECTED].filter(id => filteredIds.has(id)));
+  const cols = TXN_VIEW.columns;
+  const th = (key, label, cls = '') => {
+    const arrow = TXN_VIEW.sort === key ? (TXN_VIEW.dir === 1 ? ' ▲' : ' ▼') : '';
+    const aria = TXN_VIEW.sort === key ? (TXN_VIEW.dir === 1 ? 'ascending' : 'descending') : 'none';
+    return `<th class="sortable${cls}" data-sort="${key}" aria-sort="${aria}" title="Sort by ${label.toLowerCase()}">${label}${arrow}</th>`;
+  };
+  const head = `<thead><tr><th><input type="checkbox" id="selectAllTxns" title="Select all ${filtered.length} transactions in this view" aria-label="Select all"></th>` +
+    th('date', 'Date') + (cols.includes('account') ? th('account', 'Account') : '') + th('amount', 'Amount', ' num') +
+    th('category', 'Category') + th('description', 'Description') +
+    cols.filter(c => c !== 'account').map(c => th(c, TXN_COLUMNS[c].label)).join('') + '<th></th></tr></thead>';
+
+  const wrap = document.getElementById('txnsScroll');
+  wrap.classList.toggle('virtual', TXN_VIEW.scroll);
+  if (TXN_VIEW.scroll) {
+    table.innerHTML = head + '<tbody></tbody>';
+    renderVirtualRows();
+    renderPager(0);
+  } else {
+    const totalPages = Math.max(1, Math.ceil(filtered.length / TXN_VIEW.pageSize));
+    if (CURRENT_PAGE > totalPages) CURRENT_PAGE = totalPages;
+    if (CURRENT_PAGE < 1) CURRENT_PAGE = 1;
+    const start = (CURRENT_PAGE - 1) * TXN_VIEW.pageSize;
+    table.innerHTML = head + '<tbody>' + filtered.slice(start, start + TXN_VIEW.pageSize).map(txnRowHtml).join('') + '</tbody>';
+    renderPager(totalPages);
+  }
+  document.getElementById('pageSize').value = TXN_VIEW.scroll ? 'scroll' : String(TXN_VIEW.pageSize);
+  refreshSelectionUI();
+}
+
+// Scroll mode: only the rows in (and just around) the visible window are in the DOM, with spacer rows
+// standing in for the rest, so tens of thousands of transactions scroll as fast as a page of ten.
+function renderVirtualRows() {
+  const wrap = document.getElementById('txnsScroll');
+  const tbody = document.querySelector('#transactionsTable tbody');
+  if (!tbody || !TXN_VIEW.scroll) return;
+  const overscan = 10;
+  const first = Math.max(0, Math.floor(wrap.scrollTop / TXN_ROW_HEIGHT) - overscan);
+  const count = Math.ceil((wrap.clientHeight || 600) / TXN_ROW_HEIGHT) + overscan * 2;
+  const rows = TXN_ROWS.slice(first, first + count);
+  const span = document.querySelectorAll('#transactionsTable thead th').length;
+  const spacer = (h) => h > 0 ? `<tr class="spacer" aria-hidden="true"><td colspan="${span}" style="height:${h}px"></td></tr>` : '';
+  tbody.innerHTML = spacer(first * TXN_ROW_HEIGHT) + rows.map(txnRowHtml).join('') +
+    spacer((TXN_ROWS.length - first - rows.length) * TXN_ROW_HEIGHT);
+}
+
+// Checkbox state without a re-render, so ticking rows keeps the scroll position
+function refreshSelectionUI() {
+  const table = document.getElementById('transactionsTable');
+  table.querySelectorAll('input.row-select').forEach(cb => {
+    const on = SELECTED.has(cb.getAttribute('data-id'));
+    cb.checked = on;
+    cb.closest('tr').classList.toggle('selected', on);
   });
-  table.innerHTML = html;
-  renderPager(totalPages);
+  const all = document.getElementById('selectAllTxns');
+  if (all) {
+    all.checked = TXN_ROWS.length > 0 && SELECTED.size === TXN_ROWS.length;
+    all.indeterminate = SELECTED.size > 0 && SELECTED.size < TXN_ROWS.length;
+  }
+  renderBulkBar();
 }
 
-// --- helper: get next word after a marker (e.g., "paypal")
-function nextWordAfter(marker, desc) {
-  const lower = (desc || '').toLowerCase();
-  const i = lower.indexOf(String(marker).toLowerCase());
-  if (i === -1) return '';
-  // slice after the marker, trim separators like space, dash, colon, slash, asterisk
-  let after = (desc || '').slice(i + String(marker).length).replace(/^[\s\-:\/*]+/, '');
-  const m = after.match(/^([A-Za-z0-9&._]+)/); // merchant-like token
-  return m ? m[1] : '';
+function setPageSize(value) {
+  TXN_VIEW = value === 'scroll'
+    ? { ...TXN_VIEW, scroll: true }
+    : { ...TXN_VIEW, scroll: false, pageSize: PAGE_SIZES.includes(Number(value)) ? Number(value) : 10 };
+  saveTxnView();
+  CURRENT_PAGE = 1;
+  document.getElementById('txnsScroll').scrollTop = 0;
+  renderTransactionsTable();
 }
 
+function openColumnChooser() {
+  const modal = SL_Modal.open({
+    title: 'Columns',
+    body: `<p class="sl-modal-note">Date, amount, category and description are always shown. Click a header to sort by it.</p>` +
+      Object.entries(TXN_COLUMNS).map(([key, c]) => `<label class="column-choice"><input type="checkbox" data-col="${key}"${TXN_VIEW.columns.includes(key) ? ' checked' : ''}> ${c.label}</label>`).join(''),
+    actions: [{ label: 'Done', primary: true }]
+  });
+  modal.body.querySelectorAll('input[data-col]').forEach(cb => {
+    cb.addEventListener('change', () => {
+      const picked = [...modal.body.querySelectorAll('input[data-col]:checked')].map(x => x.getAttribute('data-col'));
+      TXN_VIEW = { ...TXN_VIEW, columns: Object.keys(TXN_COLUMNS).filter(k => picked.includes(k)) };
+      if (!TXN_VIEW.columns.includes(TXN_VIEW.sort) && TXN_COLUMNS[TXN_VIEW.sort]) TXN_VIEW.sort = '';
+      saveTxnView();
+      renderTransactionsTable();
+    });
+  });
+}
 
-function assignCategory_OLD(idx) {
-  const txn = CURRENT_TXNS[idx];
-  if (!txn) return;
-  const desc = txn.description || "";
-  const up = desc.toUpperCase();
-
-  // Build a suggested keyword
-  let suggestedKeyword = "";
-  if (/\bPAYPAL\b/.test(up)) {
-    const nxt = nextWordAfter('paypal', desc);
-    suggestedKeyword = ('PAYPAL' + (nxt ? ' ' + nxt : '')).toUpperCase();
-  } else {
-    const visaPos = up.indexOf("VISA-");
-    if (visaPos !== -1) {
-      const after = desc.substring(visaPos + 5).trim();
-      suggestedKeyword = (after.split(/\s+/)[0] || "").toUpperCase();
-    } else {
-      suggestedKeyword = (desc.split(/\s+/)[0] || "").toUpperCase();
+// Notes start out as the memo from the file; tags are a comma-separated list. Both are kept with the transaction.
+function editTxnField(id, field) {
+  const t = CURRENT_TXNS.find(x => x.id === id);
+  if (!t) return;
+  const current = TXN_COLUMNS[field].value(t);
+  const modal = SL_Modal.open({
+    title: field === 'tags' ? 'Tags' : 'Notes',
+    body: `<p class="sl-modal-note">${escapeHtml(t.date)} · ${escapeHtml(t.description)} · ${t.amount.toFixed(2)}</p>` +
+      (field === 'tags'
+        ? `<label>Tags, separated by commas <input id="txnFieldInput" value="${escapeHtml(current)}" autocomplete="off"></label>`
+        : `<textarea id="txnFieldInput" class="txn-notes" rows="5" aria-label="Notes">${escapeHtml(current)}</textarea>`),
+    actions: [
+      { label: 'Cancel' },
+      { label: 'Save', primary: true, onClick: () => {
+        const input = modal.body.querySelector('#txnFieldInput').value;
+        if (field === 'tags') t.tags = [...new Set(input.split(',').map(x => x.trim().toLowerCase()).filter(Boolean))];
+        else t.notes = input.trim();
+        SL_Store.putTxns([t]).catch(storeFailed);
+        renderTransactionsTable();
+      } }
+    ]
+  });
+  modal.body.querySelector('#txnFieldInput').focus();
+}
+
+// Tick or untick one row; with shift, everything between it and the last row ticked (across pages)
+function selectRows(filtered, id, checked, range) {
+  let ids = [id];
+  const from = range && LAST_CHECKED ? filtered.findIndex(t => t.id === LAST_CHECKED) : -1;
+  const to = filtered.findIndex(t => t.id === id);
+  if (from !== -1 && to !== -1) ids = filtered.slice(Math.min(from, to), Math.max(from, to) + 1).map(t => t.id);
+  ids.forEach(x => checked ? SELECTED.add(x) : SELECTED.delete(x));
+  LAST_CHECKED = id;
+}
+
+function selectedTxns() {
+  return CURRENT_TXNS.filter(t => SELECTED.has(t.id));
+}
+
+function clearSelection() {
+  SELECTED = new Set();
+  LAST_CHECKED = null;
+  renderTransactionsTable();
+}
+
+function renderBulkBar() {
+  const bar = document.getElementById('bulkBar');
+  if (!bar) return;
+  bar.style.display = SELECTED.size ? '' : 'none';
+  document.getElementById('bulkCount').textContent = `${SELECTED.size} selected`;
+}
+
+// One category for every selected row, saved as manual overrides
+function bulkAssignCategory() {
+  const txns = selectedTxns();
+  if (!txns.length) return;
+  const cats = new Set(txns.map(t => t.category || 'UNCATEGORISED'));
+  const only = cats.size === 1 ? [...cats][0] : '';
+  SL_CatPicker.openCategoryPicker({
+    categories: categoryChoices(),
+    current: !only || only === 'UNCATEGORISED' ? 'Uncategorised' : only,
+    onChoose: (chosen) => {
+      let norm = (chosen === 'Uncategorised') ? 'UNCATEGORISED' : SL_Categories.normalise(chosen);
+      if (/add new category/i.test(norm)) {
+        const name = prompt(`New category for ${txns.length} transactions:`, '');
+        if (!name || !name.trim()) return;
+        norm = SL_Categories.normalise(name);
+      }
+      if (!norm) return;
+      txns.forEach(t => setOverride(t.id, norm, { render: false }));
+      SELECTED = new Set();
+      applyRulesAndRender({ keepPage: true });
     }
+  });
+}
+
+// One rule meant to catch every selected row: their shared merchant keyword, or any: of each merchant's first word
+function bulkRule() {
+  const txns = selectedTxns();
+  if (!txns.length) return;
+  const keywords = [...new Set(txns.map(t => SL_Merchant.suggestKeyword(t.description)).filter(Boolean))];
+  const keyword = keywords.length === 1 ? keywords[0] : `any:${[...new Set(keywords.map(k => k.split(' ')[0]))].join(',')}`;
+  const cats = txns.map(t => t.category).filter(c => c && c !== 'UNCATEGORISED');
+  const category = cats.length === txns.length && new Set(cats).size === 1 ? cats[0] : '';
+  openRuleDialog({
+    keyword,
+    category,
+    note: `${txns.length} selected transaction${txns.length === 1 ? '' : 's'} — the rows you picked are highlighted.`,
+    highlight: new Set(txns),
+    onSave: () => { SELECTED = new Set(); }
+  });
+}
+
+function suggestionChip(t, idx) {
+  const s = SUGGESTIONS.get(t.id);
+  if (!s) return '';
+  return ` <span class="suggestion" title="Suggested from similar transactions you have categorised">` +
+    `${categoryLabel(s.category)} <span class="muted">${Math.round(s.confidence * 100)}%</span>` +
+    `<button class="rule-btn" onclick="acceptSuggestion(${idx})" title="Use this category for this transaction">✓</button>` +
+    `<button class="rule-btn secondary" onclick="assignCategory_OLD(${idx}, SUGGESTIONS.get(CURRENT_TXNS[${idx}].id).category)" title="Make a rule for this merchant">Rule…</button></span>`;
+}
+
+function acceptSuggestion(idx) {
+  const t = CURRENT_TXNS[idx];
+  const s = t && SUGGESTIONS.get(t.id);
+  if (s) setOverride(t.id, s.category);
+}
+
+// Review every suggestion at once; the confident ones start ticked
+function reviewSuggestions() {
+  const items = CURRENT_TXNS.filter(t => SUGGESTIONS.has(t.id)).map(t => ({ t, s: SUGGESTIONS.get(t.id) }))
+    .sort((a, b) => b.s.confidence - a.s.confidence);
+  if (!items.length) {
+    SL_Modal.open({ title: 'Category suggestions', body: '<p class="sl-modal-note">No suggestions right now. They appear for uncategorised transactions that look like ones a rule or a manual pick has already categorised.</p>' });
+    return;
   }
+  const rows = items.map(({ t, s }, i) => `<tr>
+      <td><input type="checkbox" data-accept="${i}"${s.confidence >= 0.8 ? ' checked' : ''} aria-label="Accept"></td>
+      <td>${escapeHtml(t.date)}</td><td>${escapeHtml(t.description)}</td><td class="num">${t.amount.toFixed(2)}</td>
+      <td><strong>${categoryLabel(s.category)}</strong></td><td class="num">${Math.round(s.confidence * 100)}%</td>
+    </tr>`).join('');
+  const modal = SL_Modal.open({
+    title: 'Category suggestions',
+    wide: true,
+    body: `<p class="sl-modal-note">${items.length} uncategorised transaction${items.length === 1 ? ' looks' : 's look'} like ones you have already categorised. Ticked rows become manual overrides.</p>
+      <table class="zebra"><thead><tr><th></th><th>Date</th><th>Description</th><th class="num">Amount</th><th>Suggested</th><th class="num">Confidence</th></tr></thead><tbody>${rows}</tbody></table>`,
+    actions: [
+      { label: 'Cancel' },
+      { label: 'Accept ticked', primary: true, onClick: () => {
+        const picked = [...modal.body.querySelectorAll('input[data-accept]:checked')].map(cb => items[Number(cb.dataset.accept)]);
+        picked.forEach(({ t, s }) => setOverride(t.id, s.category, { render: false }));
+        if (picked.length) applyRulesAndRender({ keepPage: true });
+      } }
+    ]
+  });
+}
 
-  // Let user confirm/edit keyword
-  const keywordInput = prompt("Enter keyword to match:", suggestedKeyword);
-  if (!keywordInput) return;
-  const keyword = keywordInput.trim().toUpperCase();
+function transferMark(t) {
+  if (!t.transfer) return '';
+  const p = TRANSFER_PAIRS.find(x => x.id === t.transfer);
+  const other = p && (p.out === t ? p.in : p.out);
+  const where = other ? `${t.amount > 0 ? 'to' : 'from'} ${other.account}` : '';
+  return ` <span class="transfer-mark" title="Transfer ${escapeHtml(where)} — not counted in totals">⇄ ${escapeHtml(where)}</span>`;
+}
 
-  // Let user choose/add category (no automation)
-  const defaultCat = (txn.category || "UNCATEGORISED").toUpperCase();
-  const catInput = prompt("Enter category name:", defaultCat);
-  if (!catInput) return;
-  const category = catInput.trim().toUpperCase();
+// Every pair of matching opposite-signed transactions between accounts: confirm it, undo it, or restore an undone one
+function reviewTransfers() {
+  const modal = SL_Modal.open({
+    title: 'Transfers between accounts',
+    wide: true,
+    body: '<div class="transfers-wrap"></div>',
+    actions: [{ label: 'Done', primary: true }]
+  });
+  const wrap = modal.body.querySelector('.transfers-wrap');
+  const STATUS = { detected: 'Detected', confirmed: 'Confirmed', rejected: 'Undone' };
+  function render() {
+    const pairs = TRANSFER_PAIRS;
+    if (!pairs.length) {
+      wrap.innerHTML = `<p class="sl-modal-note">No transfers found. A transfer is a debit in one account and a credit of the same amount in another within ${SL_Transfers.MAX_DAYS} days. Load statements from more than one account to find them.</p>`;
+      return;
+    }
+    wrap.innerHTML = `<p class="sl-modal-note">Transfers are left out of income, expenses and category totals. Undo a pair that isn't really a transfer.</p>
+      <table class="zebra transfers-table"><thead><tr><th>Out</th><th>In</th><th class="num">Amount</th><th class="num">Days apart</th><th>Status</th><th></th></tr></thead><tbody>
+      ${pairs.map((p, i) => `<tr class="transfer-${p.status}" data-i="${i}">
+        <td>${escapeHtml(p.out.date)} · <strong>${escapeHtml(p.out.account || '')}</strong><div class="muted">${escapeHtml(p.out.description)}</div></td>
+        <td>${escapeHtml(p.in.date)} · <strong>${escapeHtml(p.in.account || '')}</strong><div class="muted">${escapeHtml(p.in.description)}</div></td>
+        <td class="num">${Math.abs(p.out.amount).toFixed(2)}</td><td class="num">${p.days}</td><td>${STATUS[p.status]}</td>
+        <td class="row-actions">${p.status === 'detected' ? '<button class="rule-btn" data-act="confirm">Confirm</button>' : ''}${p.status === 'rejected'
+          ? '<button class="rule-btn secondary" data-act="reset">Restore</button>'
+          : '<button class="rule-btn secondary" data-act="reject">Undo</button>'}</td>
+      </tr>`).join('')}</tbody></table>`;
+    wrap.querySelectorAll('button[data-act]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const p = pairs[Number(btn.closest('tr').dataset.i)];
+        SL_Transfers[btn.dataset.act](p.id);
+        applyRulesAndRender({ keepPage: true });
+        render();
+      });
+    });
+  }
+  render();
+}
 
-  // Upsert into rulesBox
-  const box = document.getElementById('rulesBox');
-  const lines = String(box.value || "").split(/\r?\n/);
+// Replace the rule with the same keyword, or append a new one at the end
+function upsertRuleText(text, keyword, category) {
+  const lines = String(text || "").split(/\r?\n/);
   let updated = false;
   for (let i = 0; i < lines.length; i++) {
     const line = (lines[i] || "").trim();
@@ -439,7 +1313,7 @@ function assignCategory_OLD(idx) {
     const parts = line.split(/=>/i);
     if (parts.length >= 2) {
       const k = parts[0].trim().toUpperCase();
-      if (k === keyword) {
+      if (k === keyword.toUpperCase()) {
         lines[i] = `${keyword} => ${category}`;
         updated = true;
         break;
@@ -447,17 +1321,142 @@ function assignCategory_OLD(idx) {
     }
   }
   if (!updated) lines.push(`${keyword} => ${category}`);
-  box.value = lines.join("\n");
-  try { localStorage.setItem(LS_KEYS.RULES, box.value); } catch {}
-  if (typeof applyRulesAndRender === 'function') applyRulesAndRender({keepPage: true});
+  return lines.join("\n");
+}
+
+// What saving `keyword => category` would do: categorise copies of every loaded transaction
+// with the edited rules and keep the ones whose category changes.
+function previewRule(keyword, category) {
+  const rule = SL_Rules.parseRuleLine(`${keyword} => ${category}`);
+  if (rule.error) return { error: rule.error };
+  // Compare against the rules as typed, not as last applied, so unapplied edits don't show up as changes
+  const current = document.getElementById('rulesBox').value;
+  const text = upsertRuleText(current, keyword, category);
+  const before = CURRENT_TXNS.map(t => ({ ...t }));
+  const after = CURRENT_TXNS.map(t => ({ ...t }));
+  categorise(before, parseRules(current));
+  categorise(after, parseRules(text));
+  const changes = [];
+  let matches = 0;
+  after.forEach((c, i) => {
+    const txn = CURRENT_TXNS[i];
+    if (SL_Rules.matches(rule, txn)) matches++;
+    if (c.category !== before[i].category) changes.push({ txn, before: before[i].category, after: c.category });
+  });
+  return { text, matches, changes };
+}
+
+function assignCategory_OLD(idx, category) {
+  const txn = CURRENT_TXNS[idx];
+  if (!txn) return;
+  openRuleDialog({
+    keyword: SL_Merchant.suggestKeyword(txn.description),
+    category: category || txn.category,
+    note: txn.description,
+    highlight: new Set([txn])
+  });
+}
+
+// Rule dialog with a live preview; `highlight` holds the transactions the rule was started from
+function openRuleDialog({ keyword = '', category = '', note = '', highlight = new Set(), onSave } = {}) {
+  const PREVIEW_LIMIT = 200;
+  const body = `
+    <p class="sl-modal-note">${escapeHtml(note)}</p>
+    <div class="rule-preview-fields">
+      <label>Keyword or conditions <input id="rpKeyword" value="${escapeHtml(keyword)}" autocomplete="off"></label>
+      <label>Category <input id="rpCategory" value="${escapeHtml((category || "UNCATEGORISED").toUpperCase())}" autocomplete="off"></label>
+    </div>
+    <div id="rpSummary" class="sl-modal-note"></div>
+    <div id="rpChanges" class="rule-preview-list"></div>`;
+  let result = null;
+  const modal = SL_Modal.open({
+    title: 'Add a rule',
+    wide: true,
+    body,
+    actions: [
+      { label: 'Cancel' },
+      { label: 'Save rule', primary: true, onClick: () => {
+        update();
+        if (!result || result.error) return false;
+        const box = document.getElementById('rulesBox');
+        box.value = result.text;
+        persistRules(box.value);
+        if (onSave) onSave();
+        applyRulesAndRender({keepPage: true});
+      } }
+    ]
+  });
+  const kwEl = modal.body.querySelector('#rpKeyword');
+  const catEl = modal.body.querySelector('#rpCategory');
+  const summaryEl = modal.body.querySelector('#rpSummary');
+  const listEl = modal.body.querySelector('#rpChanges');
+
+  function update() {
+    const keyword = kwEl.value.trim();
+    const category = SL_Categories.normalise(catEl.value);
+    if (!keyword || !category) {
+      result = null;
+      summaryEl.textContent = 'Enter a keyword and a category.';
+      listEl.innerHTML = '';
+      return;
+    }
+    result = previewRule(keyword, category);
+    if (result.error) {
+      summaryEl.innerHTML = `<span class="rule-preview-error">${escapeHtml(result.error)}</span>`;
+      listEl.innerHTML = '';
+      return;
+    }
+    const { matches, changes } = result;
+    summaryEl.innerHTML = `<strong>${escapeHtml(keyword)}</strong> matches <span class="badge">${matches}</span> loaded transaction${matches === 1 ? '' : 's'}; ` +
+      `<span class="badge">${changes.length}</span> would change category.` +
+      (matches > changes.length ? ' The rest already have this category, are caught by an earlier rule or have a manual override.' : '');
+    if (!changes.length) { listEl.innerHTML = ''; return; }
+    const shown = changes.slice(0, PREVIEW_LIMIT);
+    listEl.innerHTML = `<table class="zebra"><thead><tr><th>Date</th><th>Description</th><th class="num">Amount</th><th>Before</th><th>After</th></tr></thead><tbody>` +
+      shown.map(c => `<tr${highlight.has(c.txn) ? ' class="rule-preview-self"' : ''}>
+        <td>${escapeHtml(c.txn.date)}</td><td>${escapeHtml(c.txn.description)}</td>
+        <td class="num">${c.txn.amount.toFixed(2)}</td>
+        <td>${categoryLabel(c.before)}</td>
+        <td><strong>${categoryLabel(c.after)}</strong></td></tr>`).join('') +
+      `</tbody></table>` +
+      (changes.length > shown.length ? `<p class="sl-modal-note">…and ${changes.length - shown.length} more.</p>` : '');
+  }
+
+  let timer = null;
+  const schedule = () => { clearTimeout(timer); timer = setTimeout(update, 150); };
+  kwEl.addEventListener('input', schedule);
+  catEl.addEventListener('input', schedule);
+  [kwEl, catEl].forEach(el => el.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') modal.el.querySelector('.sl-modal-btn.primary').click();
+  }));
+  update();
+  kwEl.focus();
+  kwEl.select();
 }
 
 /* Wrapped by picker */
 
 
 
+// The table editor and the raw text are two views of #rulesBox; switching back re-reads the text.
+function toggleRulesText() {
+  const box = document.getElementById('rulesBox');
+  const editor = document.getElementById('ruleEditor');
+  const showText = box.style.display === 'none';
+  box.style.display = showText ? '' : 'none';
+  editor.style.display = showText ? 'none' : '';
+  document.getElementById('addRuleBtn').style.display = showText ? 'none' : '';
+  document.getElementById('rulesTextToggle').textContent = showText ? 'Edit as table' : 'Edit as text';
+  if (!showText) applyRulesAndRender({keepPage: true});
+}
+
+// Exported rules carry this line so importing them again skips the legacy migration
+const RULES_FORMAT_LINE = '# SpendLite rules, format 9';
+const hasRulesFormatLine = (text) => String(text || '').split(/\r?\n/).some(l => l.trim() === RULES_FORMAT_LINE);
+
 function exportRules() {
-  const text = document.getElementById('rulesBox').value || '';
+  const box = document.getElementById('rulesBox').value || '';
+  const text = hasRulesFormatLine(box) ? box : `${RULES_FORMAT_LINE}\n${box}`;
   const blob = new Blob([text], {type: 'text/plain'});
   const a = document.createElement('a');
   a.href = URL.createObjectURL(blob);
@@ -471,7 +1470,7 @@ function importRulesFromFile(file) {
   const reader = new FileReader();
   reader.onload = () => {
     const text = reader.result || '';
-    document.getElementById('rulesBox').value = text;
+    document.getElementById('rulesBox').value = hasRulesFormatLine(text) ? text : `${RULES_FORMAT_LINE}\n${migrateLegacyRules(text)}`;
     applyRulesAndRender();
   };
   reader.readAsText(file);
@@ -485,53 +1484,143 @@ function escapeHtml(s) {
 document.getElementById('csvFile').addEventListener('change', (e) => {
   const file = e.target.files?.[0]; if (!file) return;
   const reader = new FileReader();
-  reader.onload = () => { loadCsvText(reader.result); };
+  reader.onload = () => { loadStatementText(reader.result, file.name); };
   reader.readAsText(file);
 });
+document.getElementById('mapColumnsBtn').addEventListener('click', openColumnMapping);
 document.getElementById('recalculateBtn').addEventListener('click', applyRulesAndRender);
 document.getElementById('exportRulesBtn').addEventListener('click', exportRules);
+document.getElementById('checkRulesBtn').addEventListener('click', showRuleDiagnostics);
+document.getElementById('totalsGroup').addEventListener('change', (e) => setTotalsGroup(e.target.value));
+document.getElementById('addRuleBtn').addEventListener('click', () => SL_RuleEditor.addRule());
+document.getElementById('rulesTextToggle').addEventListener('click', toggleRulesText);
 document.getElementById('exportTotalsBtn').addEventListener('click', exportTotals);
+document.getElementById('exportQifBtn').addEventListener('click', exportQif);
+document.getElementById('manageCategoriesBtn').addEventListener('click', openCategoryManager);
+document.getElementById('budgetsBtn').addEventListener('click', openBudgets);
 document.getElementById('importRulesBtn').addEventListener('click', () => document.getElementById('importRulesInput').click());
 document.getElementById('importRulesInput').addEventListener('change', (e) => {
   const f = e.target.files && e.target.files[0]; if (f) importRulesFromFile(f);
 });
+document.getElementById('suggestionsBtn').addEventListener('click', reviewSuggestions);
+document.getElementById('transfersBtn').addEventListener('click', reviewTransfers);
+document.getElementById('bulkCategoryBtn').addEventListener('click', bulkAssignCategory);
+document.getElementById('bulkRuleBtn').addEventListener('click', bulkRule);
+document.getElementById('bulkClearBtn').addEventListener('click', clearSelection);
+document.getElementById('chartsDetails').addEventListener('toggle', (e) => {
+  saveChartSettings({ open: e.target.open });
+  renderCharts();
+});
+document.getElementById('splitChartType').addEventListener('change', (e) => {
+  saveChartSettings({ split: e.target.value });
+  renderCharts();
+});
+// Clicking a slice, bar or legend entry filters the transactions like a category link
+document.getElementById('charts').addEventListener('click', (e) => {
+  const hit = e.target.closest('[data-key]');
+  if (hit) setCategoryFilter(hit.getAttribute('data-key'));
+});
+document.getElementById('pageSize').addEventListener('change', (e) => setPageSize(e.target.value));
+document.getElementById('columnsBtn').addEventListener('click', openColumnChooser);
+// One set of listeners for the table, so re-rendering (and scroll mode) never rebinds per row
+document.getElementById('transactionsTable').addEventListener('click', (e) => {
+  const el = e.target;
+  if (el.id === 'selectAllTxns') {
+    SELECTED = el.checked ? new Set(TXN_ROWS.map(t => t.id)) : new Set();
+    LAST_CHECKED = null;
+    refreshSelectionUI();
+  } else if (el.matches('input.row-select')) {
+    selectRows(TXN_ROWS, el.getAttribute('data-id'), el.checked, e.shiftKey);
+    refreshSelectionUI();
+  } else if (el.closest('th[data-sort]')) {
+    setTxnSort(el.closest('th[data-sort]').getAttribute('data-sort'));
+  } else if (el.closest('td[data-edit]')) {
+    const td = el.closest('td[data-edit]');
+    editTxnField(td.getAttribute('data-id'), td.getAttribute('data-edit'));
+  }
+});
+let virtualFrame = 0;
+document.getElementById('txnsScroll').addEventListener('scroll', () => {
+  if (!TXN_VIEW.scroll || virtualFrame) return;
+  virtualFrame = requestAnimationFrame(() => { virtualFrame = 0; renderVirtualRows(); refreshSelectionUI(); });
+}, { passive: true });
 document.getElementById('clearFilterBtn').addEventListener('click', () => {
   CURRENT_FILTER = null; try { localStorage.removeItem(LS_KEYS.FILTER); } catch {}
   updateFilterUI(); CURRENT_PAGE = 1; renderTransactionsTable(); renderMonthTotals(monthFilteredTxns());
 });
-document.getElementById('clearMonthBtn').addEventListener('click', () => {
-  MONTH_FILTER = ""; try { localStorage.removeItem(LS_KEYS.MONTH); } catch {}
-  document.getElementById('monthFilter').value = "";
-  updateMonthBanner();
-  CURRENT_PAGE = 1;
-  applyRulesAndRender();
-});
+document.getElementById('clearMonthBtn').addEventListener('click', () => setPeriod(""));
 document.getElementById('monthFilter').addEventListener('change', (e) => {
-  MONTH_FILTER = e.target.value || "";
-  try { localStorage.setItem(LS_KEYS.MONTH, MONTH_FILTER); } catch {}
-  updateMonthBanner();
-  CURRENT_PAGE = 1;
-  applyRulesAndRender();
+  if (e.target.value !== 'custom') return setPeriod(e.target.value);
+  updateCustomRange(true);
+  document.getElementById('rangeFrom').focus();
+});
+let searchTimer = null;
+document.getElementById('searchBox').addEventListener('input', (e) => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => setSearch(e.target.value), 200);
+});
+document.getElementById('searchBox').addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') { e.target.value = ''; clearTimeout(searchTimer); setSearch(''); }
+});
+document.getElementById('applyRangeBtn').addEventListener('click', () => {
+  const spec = SL_Period.range(document.getElementById('rangeFrom').value, document.getElementById('rangeTo').value);
+  if (!spec) { alert('Pick a start date, an end date or both.'); return; }
+  setPeriod(spec);
 });
 
 window.addEventListener('DOMContentLoaded', async () => {
-  // Restore rules
+  // Restore rules: IndexedDB, then the pre-IndexedDB localStorage copy, then rules.txt, then the sample
   let restored = false;
-  try { const saved = localStorage.getItem(LS_KEYS.RULES); if (saved && saved.trim()) { document.getElementById('rulesBox').value = saved; restored = true; } } catch {}
+  let stored = null;
+  try { stored = await SL_Store.loadAll(); LAST_SAVED_RULES = stored.rulesText; } catch (e) { storeFailed(e); }
+  if (stored && stored.rulesText != null && stored.rulesText.trim()) { document.getElementById('rulesBox').value = stored.rulesText; restored = true; }
+  if (!restored) {
+    try { const saved = localStorage.getItem(LS_KEYS.RULES); if (saved && saved.trim()) { document.getElementById('rulesBox').value = saved; restored = true; } } catch {}
+  }
   if (!restored) {
     try { const res = await fetch('rules.txt'); const text = await res.text(); document.getElementById('rulesBox').value = text; restored = true; } catch {}
   }
   if (!restored) document.getElementById('rulesBox').value = SAMPLE_RULES;
+  try {
+    if (!localStorage.getItem(LS_KEYS.RULES_FORMAT)) {
+      const box = document.getElementById('rulesBox');
+      box.value = migrateLegacyRules(box.value);
+      localStorage.setItem(LS_KEYS.RULES_FORMAT, '9');
+    }
+  } catch {}
+  persistRules(document.getElementById('rulesBox').value);
+  SL_RuleEditor.mount({
+    container: document.getElementById('ruleEditor'),
+    textarea: document.getElementById('rulesBox'),
+    getTxns: () => CURRENT_TXNS,
+    onChange: () => applyRulesAndRender({keepPage: true})
+  });
 
   // Restore filters
-  try { const savedFilter = localStorage.getItem(LS_KEYS.FILTER); CURRENT_FILTER = savedFilter && savedFilter.trim() ? savedFilter.toUpperCase() : null; } catch {}
-  try { const savedMonth = localStorage.getItem(LS_KEYS.MONTH); MONTH_FILTER = savedMonth || ""; } catch {}
+  try { const savedFilter = localStorage.getItem(LS_KEYS.FILTER); CURRENT_FILTER = savedFilter && savedFilter.trim() ? SL_Categories.normalise(savedFilter) : null; } catch {}
+  try { const savedMonth = localStorage.getItem(LS_KEYS.MONTH); MONTH_FILTER = savedMonth && SL_Period.isValid(savedMonth) ? savedMonth : ""; } catch {}
+  try { const urlPeriod = new URLSearchParams(location.search).get('period'); if (urlPeriod && SL_Period.isValid(urlPeriod)) MONTH_FILTER = urlPeriod; } catch {}
+  try { const savedAccounts = JSON.parse(localStorage.getItem(LS_KEYS.ACCOUNTS) || '[]'); ACCOUNT_FILTER = Array.isArray(savedAccounts) ? savedAccounts : []; } catch {}
+  try { const savedExpanded = JSON.parse(localStorage.getItem(LS_KEYS.CATS_EXPANDED) || '[]'); EXPANDED_CATS = new Set(Array.isArray(savedExpanded) ? savedExpanded : []); } catch {}
+  try { const savedGroup = localStorage.getItem(LS_KEYS.TOTALS_GROUP); TOTALS_GROUP = ['merchant', 'trends'].includes(savedGroup) ? savedGroup : 'category'; } catch {}
+  document.getElementById('totalsGroup').value = TOTALS_GROUP;
+  loadTxnView();
+  const charts = chartSettings();
+  document.getElementById('splitChartType').value = charts.split === 'bars' ? 'bars' : 'donut';
+  document.getElementById('chartsDetails').open = !!charts.open;
+
+  // Restore transactions in import order
+  if (stored) restoreStore(stored);
 
   updateFilterUI(); CURRENT_PAGE = 1;
+  renderAccountControls();
+  renderOverridesPanel();
   updateMonthBanner();
+  if (CURRENT_TXNS.length) { rebuildMonthDropdown(); applyRulesAndRender(); }
 });
 
 const SAMPLE_RULES = `# Rules format: KEYWORD => CATEGORY
+# Conditions can be combined, e.g.  shell amount:<=2 => COFFEE   or   NOT refund type:credit => INCOME
 `;
 
 // --- Transactions collapse logic ---
@@ -561,6 +1650,7 @@ document.addEventListener('DOMContentLoaded', () => {
 function renderPager(totalPages) {
   const pager = document.getElementById('pager');
   if (!pager) return;
+  if (TXN_VIEW.scroll) { pager.innerHTML = `<span>${TXN_ROWS.length} transactions</span>`; return; }
   const pages = totalPages || 1;
   const cur = CURRENT_PAGE;
 
@@ -597,53 +1687,165 @@ function renderPager(totalPages) {
     });
   });
 
-  // Wheel to flip pages
-  const table = document.getElementById('transactionsTable');
-  if (table && !table._wheelBound) {
-    table.addEventListener('wheel', (e) => {
-      if (pages <= 1) return;
-      if (e.deltaY > 0 && CURRENT_PAGE < pages) { CURRENT_PAGE++; renderTransactionsTable(); }
-      else if (e.deltaY < 0 && CURRENT_PAGE > 1) { CURRENT_PAGE--; renderTransactionsTable(); }
-    }, { passive: true });
-    table._wheelBound = true;
+}
+
+
+
+// --- Persistence (IndexedDB via SL_Store) ---
+let LAST_SAVED_RULES = null;
+
+function storeFailed() {
+  if (storeFailed.warned) return;
+  storeFailed.warned = true;
+  alert('SpendLite cannot save to this browser\'s storage (private mode or storage full?). Changes will be lost when the page is closed.');
+}
+
+function persistRules(text) {
+  if (text === LAST_SAVED_RULES) return;
+  LAST_SAVED_RULES = text;
+  SL_Store.saveRules(text).catch((e) => {
+    storeFailed(e);
+    try { localStorage.setItem(LS_KEYS.RULES, text); } catch {}
+  });
+}
+
+// Merged with anything already in memory: a file loaded while the store was still opening must survive
+function restoreStore({ txns, imports, overrides }) {
+  OVERRIDES = new Map([...(overrides || []).map(ov => [ov.txnId, ov]), ...OVERRIDES]);
+  const knownImports = new Set(imports.map(i => i.id));
+  IMPORTS = imports.concat(IMPORTS.filter(i => !knownImports.has(i.id)))
+    .sort((a, b) => String(a.importedAt).localeCompare(String(b.importedAt)));
+  const order = new Map(IMPORTS.map((imp, i) => [imp.id, i]));
+  const knownTxns = new Set(txns.map(t => t.id));
+  CURRENT_TXNS = txns.concat(CURRENT_TXNS.filter(t => !knownTxns.has(t.id))).sort((a, b) =>
+    ((order.get(a.importId) ?? 1e9) - (order.get(b.importId) ?? 1e9)) || ((a.row || 0) - (b.row || 0)));
+}
+
+// --- Manual category overrides ---
+function setOverride(txnId, category, { render = true } = {}) {
+  if (!txnId) return;
+  const ov = { txnId, category, createdAt: new Date().toISOString() };
+  OVERRIDES.set(txnId, ov);
+  SL_Store.putOverride(ov).catch(storeFailed);
+  if (render) applyRulesAndRender({ keepPage: true });
+}
+
+function removeOverride(txnId) {
+  if (!OVERRIDES.delete(txnId)) return;
+  SL_Store.deleteOverride(txnId).catch(storeFailed);
+  applyRulesAndRender({ keepPage: true });
+}
+
+// --- Category manager ---
+// Every category in use (transactions, rules, implied parents) with rolled-up counts and totals
+function categoryStats() {
+  const rules = parseRules(document.getElementById('rulesBox').value);
+  const cats = SL_Categories.withAncestors([...CURRENT_TXNS.map(t => t.category || 'UNCATEGORISED'), ...rules.map(r => r.category)]);
+  return cats.map(cat => {
+    const txns = CURRENT_TXNS.filter(t => SL_Categories.isWithin(t.category || 'UNCATEGORISED', cat));
+    // Totalled like the category tables: income under INCOME, spending after refunds elsewhere, no transfers
+    const kind = SL_Categories.isWithin(cat, SL_CashFlow.INCOME) ? 'income' : 'expense';
+    return {
+      cat,
+      count: txns.length,
+      total: txns.reduce((acc, t) => SL_CashFlow.kind(t) === kind ? acc + SL_CashFlow.signed(t, kind) : acc, 0),
+      rules: rules.filter(r => SL_Categories.isWithin(r.category, cat)).length
+    };
+  });
+}
+
+// Move `from` (and everything under it) to `to`. Renames keep the sub-path ("A > X" → "B > X");
+// deletes (flatten = true) put everything on `to` itself. `to` = UNCATEGORISED drops rules and overrides.
+function remapCategory(from, to, { flatten = false } = {}) {
+  const target = (cat) => flatten ? to : SL_Categories.rebase(cat, from, to);
+  const drop = to === 'UNCATEGORISED';
+
+  const box = document.getElementById('rulesBox');
+  const lines = [];
+  for (const line of String(box.value || '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const arrow = line.lastIndexOf('=>');
+    const isRule = arrow !== -1 && (!trimmed.startsWith('#') || /^#\s*off\s/i.test(trimmed));
+    if (!isRule || !SL_Categories.isWithin(line.slice(arrow + 2), from)) { lines.push(line); continue; }
+    if (!drop) lines.push(`${line.slice(0, arrow).trimEnd()} => ${target(SL_Categories.normalise(line.slice(arrow + 2)))}`);
+  }
+  box.value = lines.join('\n');
+
+  for (const ov of [...OVERRIDES.values()]) {
+    if (!SL_Categories.isWithin(ov.category, from)) continue;
+    if (drop) { OVERRIDES.delete(ov.txnId); SL_Store.deleteOverride(ov.txnId).catch(storeFailed); continue; }
+    const next = { ...ov, category: target(ov.category) };
+    OVERRIDES.set(ov.txnId, next);
+    SL_Store.putOverride(next).catch(storeFailed);
   }
+
+  const changed = CURRENT_TXNS.filter(t => t.sourceCategory && SL_Categories.isWithin(t.sourceCategory, from));
+  changed.forEach(t => { t.sourceCategory = drop ? '' : target(t.sourceCategory); });
+  if (changed.length) SL_Store.putTxns(changed).catch(storeFailed);
+
+  SL_Categories.rebaseMeta(from, flatten ? null : to);
+  SL_Budgets.rebase(from, flatten ? null : to);
+  EXPANDED_CATS = new Set([...EXPANDED_CATS].map(c => SL_Categories.isWithin(c, from) ? (flatten ? to : target(c)) : c));
+  if (CURRENT_FILTER && SL_Categories.isWithin(CURRENT_FILTER, from)) {
+    CURRENT_FILTER = drop ? null : target(CURRENT_FILTER);
+    try { localStorage.setItem(LS_KEYS.FILTER, CURRENT_FILTER || ''); } catch {}
+    updateFilterUI();
+  }
+  applyRulesAndRender({ keepPage: true });
 }
 
+function openCategoryManager() {
+  SL_CategoryManager.open({
+    getRows: categoryStats,
+    onRename: (from, to) => remapCategory(from, to),
+    onDelete: (cat, to) => remapCategory(cat, to, { flatten: true }),
+    onChange: () => applyRulesAndRender({ keepPage: true })
+  });
+}
 
+function renderOverridesPanel() {
+  const el = document.getElementById('overridesList');
+  if (!el) return;
+  const count = document.getElementById('overridesCount');
+  if (count) count.textContent = OVERRIDES.size ? `(${OVERRIDES.size})` : '';
+  if (!OVERRIDES.size) { el.innerHTML = '<p class="muted">No manual overrides. Pick a category with “+” on a transaction to add one.</p>'; return; }
+  const byId = new Map(CURRENT_TXNS.map(t => [t.id, t]));
+  const rows = [...OVERRIDES.values()].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  let html = '<table class="zebra"><tr><th>Date</th><th>Amount</th><th>Description</th><th>Category</th><th></th></tr>';
+  for (const ov of rows) {
+    const t = byId.get(ov.txnId);
+    html += `<tr>
+      <td>${t ? escapeHtml(t.date) : ''}</td>
+      <td>${t ? t.amount.toFixed(2) : ''}</td>
+      <td>${t ? escapeHtml(t.description) : '<span class="muted">(transaction not loaded)</span>'}</td>
+      <td>${categoryLabel(ov.category)}</td>
+      <td><button class="rule-btn secondary" data-remove-override="${escapeHtml(ov.txnId)}" title="Remove override; rules decide again">Remove</button></td>
+    </tr>`;
+  }
+  el.innerHTML = html + '</table>';
+  el.querySelectorAll('button[data-remove-override]').forEach(b => {
+    b.addEventListener('click', () => removeOverride(b.getAttribute('data-remove-override')));
+  });
+}
 
-function saveTxnsToLocalStorage(){
-  try {
-    const data = JSON.stringify(CURRENT_TXNS||[]);
-    localStorage.setItem(LS_KEYS.TXNS_JSON, data);
-    // mirror-save to standard keys for Advanced mode
-    localStorage.setItem('spendlite_txns_json_v7', data);
-    localStorage.setItem('spendlite_txns_json', data);
-  } catch {}
+// Best-effort copy for the Advanced page, written only on the way there; IndexedDB is the real store,
+// so a full quota is fine here.
+function mirrorTxnsForAdvanced() {
+  try { localStorage.setItem(LS_KEYS.TXNS_JSON, JSON.stringify(CURRENT_TXNS || [])); } catch {}
 }
+document.querySelector('.btn-adv')?.addEventListener('click', mirrorTxnsForAdvanced);
 
 // Ensure banner shows a friendly label on load
 document.addEventListener('DOMContentLoaded', () => { try { updateMonthBanner(); } catch (e) {} });
 
-// Save transactions right before leaving the page (safety net when switching to Advanced)
-window.addEventListener('beforeunload', () => {
-  try { localStorage.setItem(LS_KEYS.TXNS_JSON, JSON.stringify(CURRENT_TXNS||[])); } catch {}
-});
 
-
-function assignCategory(idx){
+// Picker list: the two specials first, then every category in use, alphabetical
+function categoryChoices() {
   // Merge categories from current txns + rules (if present)
   const fromTxns  = (Array.isArray(CURRENT_TXNS) ? CURRENT_TXNS : []).map(x => (x.category||'').trim());
   const fromRules = (Array.isArray(CURRENT_RULES) ? CURRENT_RULES : []).map(r => (r.category||'').trim ? r.category : (r.category||''));
   const merged = Array.from(new Set([...fromTxns, ...fromRules].map(c => (c||'').trim()).filter(Boolean)));
 
-  // Usage freq for sort
-  const freq = {};
-  for (const t of (CURRENT_TXNS || [])) {
-    const k = (t.category||'').trim();
-    if (!k) continue;
-    freq[k] = (freq[k]||0)+1;
-  }
-
   // Build list with special items
   let base = Array.from(new Set(merged));
   // Normalise duplicate Uncategorised
@@ -652,12 +1854,13 @@ function assignCategory(idx){
   base.unshift('+ Add new category...');
 
   const specials = new Set(['+ Add new category...','Uncategorised']);
-  const rest = base.filter(c => !specials.has(c)).sort((a,b)=>{
-    // Pure alphabetical, case-insensitive
-    return a.localeCompare(b, undefined, { sensitivity: 'base' });
-  });
-  const categories = ['+ Add new category...','Uncategorised', ...rest];
+  // Alphabetical as a tree: parents (even ones only implied by "PARENT > CHILD") come right before their children
+  const rest = SL_Categories.withAncestors(base.filter(c => !specials.has(c)));
+  return ['+ Add new category...','Uncategorised', ...rest];
+}
 
+function assignCategory(idx){
+  const categories = categoryChoices();
   const current = ((CURRENT_TXNS && CURRENT_TXNS[idx] && CURRENT_TXNS[idx].category)||'').trim() || 'Uncategorised';
 
   SL_CatPicker.openCategoryPicker({
@@ -673,10 +1876,9 @@ function assignCategory(idx){
           return assignCategory_OLD(idx); // Use the original prompts/rules logic
         }
       }
-      const norm = (chosen === 'Uncategorised') ? '' : String(chosen).trim().toUpperCase();
-      if (CURRENT_TXNS && CURRENT_TXNS[idx]) CURRENT_TXNS[idx].category = norm;
-      try { renderMonthTotals(); } catch {}
-      try { renderTransactionsTable(); } catch {}
+      const norm = (chosen === 'Uncategorised') ? 'UNCATEGORISED' : SL_Categories.normalise(chosen);
+      const txn = CURRENT_TXNS && CURRENT_TXNS[idx];
+      if (txn && norm) setOverride(txn.id, norm);
     }
   });
 }
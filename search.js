@@ -0,0 +1,48 @@
+// SL_Search — the search bar: the rule language (rules.js) plus a few search-only terms
+//   woolw "uber eats"          text anywhere in the description (part words are fine)
+//   cat:groceries  cat:petrol  category, including everything under it; any level of the path matches
+//   -uber  NOT cat:transfers   leave out
+//   amount:>100  date:2025-03  type:credit  day:weekend  account:visa  any:a,b  /regex/   as in rules
+(function(){
+  function extra(tok){
+    if (tok.kind === 'phrase') return { type: 'text', text: tok.raw.toLowerCase() };
+    if (tok.kind !== 'word') return null;
+    const m = tok.raw.match(/^(cat|category):(.*)$/i);
+    if (m){
+      const cat = SL_Categories.normalise(m[2]);
+      if (!cat) throw new Error(`Missing value after ${m[1].toLowerCase()}:`);
+      return { type: 'category', cat };
+    }
+    if (/^[a-z]+:/i.test(tok.raw) || tok.raw === 'NOT') return null;
+    return { type: 'text', text: tok.raw.toLowerCase() };
+  }
+
+  // → { conditions } or { error }; an empty query has no conditions and matches everything
+  function parse(query){
+    try { return { conditions: SL_Rules.parseConditions(String(query || ''), extra) }; }
+    catch (e) { return { error: e.message, conditions: [] }; }
+  }
+
+  function inCategory(cat, wanted){
+    const c = cat || 'UNCATEGORISED';
+    return SL_Categories.isWithin(c, wanted) || SL_Categories.lineage(c).some(p => SL_Categories.leaf(p) === wanted);
+  }
+
+  function test(c, t, ctx){
+    switch (c.type){
+      case 'text':     return ctx.desc.includes(c.text);
+      case 'category': return inCategory(t.category, c.cat);
+      default:         return SL_Rules.testCondition(c, ctx);
+    }
+  }
+
+  function matches(parsed, t){
+    if (!parsed || !parsed.conditions.length) return true;
+    const ctx = SL_Rules.txnContext(t);
+    return parsed.conditions.every(c => test(c, t, ctx) !== !!c.negate);
+  }
+
+  const filter = (parsed, txns) => (parsed && parsed.conditions.length) ? txns.filter(t => matches(parsed, t)) : txns;
+
+  window.SL_Search = { parse, matches, filter };
+})();
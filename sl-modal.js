@@ -0,0 +1,51 @@
+// SL_Modal — shared dialog shell for the drop-in panels (review, preview, explain, manage)
+(function(){
+  let seq = 0;
+
+  // open({ title, body, wide, actions: [{ label, primary, onClick(close) }] }) → { el, body, close }
+  // `body` is an HTML string or a Node; an action's onClick may return false to keep the dialog open.
+  function open({ title = '', body = '', wide = false, actions = [{ label: 'Close' }], onClose } = {}){
+    const id = `slModal${++seq}`;
+    const backdrop = document.createElement('div');
+    backdrop.className = 'sl-modal-backdrop show';
+    backdrop.setAttribute('role', 'dialog');
+    backdrop.setAttribute('aria-modal', 'true');
+    backdrop.setAttribute('aria-labelledby', `${id}Title`);
+    backdrop.innerHTML = `
+      <div class="sl-modal-dialog${wide ? ' wide' : ''}">
+        <div class="sl-modal-header"><h2 class="sl-modal-title" id="${id}Title"></h2></div>
+        <div class="sl-modal-body"></div>
+        <div class="sl-modal-actions"></div>
+      </div>`;
+    backdrop.querySelector('.sl-modal-title').textContent = title;
+    const bodyEl = backdrop.querySelector('.sl-modal-body');
+    if (typeof body === 'string') bodyEl.innerHTML = body; else if (body) bodyEl.appendChild(body);
+
+    const close = () => {
+      if (!backdrop.isConnected) return;
+      backdrop.remove();
+      document.removeEventListener('keydown', onKey);
+      onClose && onClose();
+    };
+    const onKey = (e) => { if (e.key === 'Escape') close(); };
+
+    const actionsEl = backdrop.querySelector('.sl-modal-actions');
+    actions.forEach(a => {
+      const btn = document.createElement('button');
+      btn.className = 'sl-modal-btn' + (a.primary ? ' primary' : '');
+      btn.textContent = a.label;
+      btn.addEventListener('click', () => {
+        if (a.onClick && a.onClick(close) === false) return;
+        close();
+      });
+      actionsEl.appendChild(btn);
+    });
+
+    backdrop.addEventListener('click', (e) => { if (e.target === backdrop) close(); });
+    document.addEventListener('keydown', onKey);
+    document.body.appendChild(backdrop);
+    return { el: backdrop, body: bodyEl, close };
+  }
+
+  window.SL_Modal = { open };
+})();
@@ -0,0 +1,99 @@
+// SL_Store — IndexedDB persistence for transactions, imports, rules and manual overrides
+// Every method returns a Promise. Callers treat failures (private mode, blocked DB) as "not persisted".
+(function(){
+  const DB_NAME = 'spendlite';
+  const DB_VERSION = 1;
+  let dbPromise = null;
+
+  function open(){
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) { reject(new Error('IndexedDB unavailable')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('txns')) db.createObjectStore('txns', { keyPath: 'id' }).createIndex('importId', 'importId');
+        if (!db.objectStoreNames.contains('imports')) db.createObjectStore('imports', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('rules')) db.createObjectStore('rules', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('overrides')) db.createObjectStore('overrides', { keyPath: 'txnId' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB blocked by another tab'));
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Run `fn(stores)` inside one transaction; resolves with fn's return value once it commits.
+  async function tx(names, mode, fn){
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(names, mode);
+      const stores = Object.fromEntries(names.map(n => [n, t.objectStore(n)]));
+      let result;
+      try { result = fn(stores); } catch (e) { t.abort(); reject(e); return; }
+      t.oncomplete = () => resolve(result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error || new Error('aborted'));
+    });
+  }
+
+  const getAll = (store) => new Promise((resolve, reject) => {
+    const req = store.getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+
+  async function loadAll(){
+    const db = await open();
+    const t = db.transaction(['txns', 'imports', 'rules', 'overrides'], 'readonly');
+    const [txns, imports, rules, overrides] = await Promise.all([
+      getAll(t.objectStore('txns')), getAll(t.objectStore('imports')),
+      getAll(t.objectStore('rules')), getAll(t.objectStore('overrides'))
+    ]);
+    const current = rules.find(r => r.id === 'current');
+    return { txns, imports, rulesText: current ? current.text : null, overrides };
+  }
+
+  function addImport(imp, txns){
+    return tx(['imports', 'txns'], 'readwrite', (s) => {
+      s.imports.put(imp);
+      for (const t of txns) s.txns.put(t);
+    });
+  }
+
+  function deleteImport(importId){
+    return tx(['imports', 'txns'], 'readwrite', (s) => {
+      s.imports.delete(importId);
+      const req = s.txns.index('importId').openKeyCursor(IDBKeyRange.only(importId));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        s.txns.delete(cur.primaryKey);
+        cur.continue();
+      };
+    });
+  }
+
+  function putTxns(txns){
+    return tx(['txns'], 'readwrite', (s) => { for (const t of txns) s.txns.put(t); });
+  }
+
+  function saveRules(text){
+    return tx(['rules'], 'readwrite', (s) => { s.rules.put({ id: 'current', text: String(text || ''), savedAt: new Date().toISOString() }); });
+  }
+
+  function putOverride(override){
+    return tx(['overrides'], 'readwrite', (s) => { s.overrides.put(override); });
+  }
+  function deleteOverride(txnId){
+    return tx(['overrides'], 'readwrite', (s) => { s.overrides.delete(txnId); });
+  }
+
+  function clearAll(){
+    return tx(['txns', 'imports', 'rules', 'overrides'], 'readwrite', (s) => { Object.values(s).forEach(st => st.clear()); });
+  }
+
+  window.SL_Store = { open, loadAll, addImport, deleteImport, putTxns, saveRules, putOverride, deleteOverride, clearAll };
+})();
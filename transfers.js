@@ -0,0 +1,97 @@
+// SL_Transfers — money moved between our own accounts: a debit in one account and a credit of the same
+// amount in another within a few days. Detected pairs count as transfers until undone; confirmed and undone
+// pairs are remembered in localStorage by the two transaction ids.
+(function(){
+  const KEY = 'spendlite_transfers_v25';
+  const MAX_DAYS = 3;
+  const DAY = 24 * 60 * 60 * 1000;
+  let decisions = null; // pair id → 'confirmed' | 'rejected'
+
+  function load(){
+    if (decisions) return decisions;
+    try { decisions = JSON.parse(localStorage.getItem(KEY) || '{}') || {}; } catch { decisions = {}; }
+    return decisions;
+  }
+  function save(){
+    try { localStorage.setItem(KEY, JSON.stringify(decisions || {})); } catch {}
+  }
+
+  const pairId = (out, inn) => `${out.id}|${inn.id}`;
+  const cents = (t) => Math.round(Math.abs(Number(t.amount) || 0) * 100);
+  const dayOf = (t) => { const d = parseDateSmart(t.date); return d && !isNaN(d) ? Math.round(d.getTime() / DAY) : null; };
+
+  // → [{ id, out, in, days, status: 'detected' | 'confirmed' | 'rejected' }]
+  // Confirmed pairs claim their transactions first; the rest are matched closest-date first, each
+  // transaction in at most one pair. Undone pairs are listed (so they can be restored) but never applied.
+  function detect(txns){
+    const d = load();
+    const byId = new Map(txns.filter(t => t.id).map(t => [t.id, t]));
+    const used = new Set();
+    const pairs = [];
+    const pairFor = (id, status) => {
+      const [a, b] = id.split('|');
+      const out = byId.get(a), inn = byId.get(b);
+      if (!out || !inn) return null;
+      return { id, out, in: inn, days: Math.abs((dayOf(out) || 0) - (dayOf(inn) || 0)), status };
+    };
+
+    for (const [id, status] of Object.entries(d)){
+      if (status !== 'confirmed') continue;
+      const p = pairFor(id, 'confirmed');
+      if (!p || used.has(p.out.id) || used.has(p.in.id)) continue;
+      used.add(p.out.id); used.add(p.in.id);
+      pairs.push(p);
+    }
+
+    const credits = new Map(); // cents → credits
+    for (const t of byId.values()){
+      if (Number(t.amount) >= 0 || used.has(t.id) || dayOf(t) == null) continue;
+      const c = cents(t);
+      if (!credits.has(c)) credits.set(c, []);
+      credits.get(c).push(t);
+    }
+    const candidates = [];
+    for (const out of byId.values()){
+      if (Number(out.amount) <= 0 || used.has(out.id)) continue;
+      const day = dayOf(out);
+      if (day == null) continue;
+      for (const inn of credits.get(cents(out)) || []){
+        const gap = Math.abs(dayOf(inn) - day);
+        if (inn.account === out.account || gap > MAX_DAYS || d[pairId(out, inn)] === 'rejected') continue;
+        candidates.push({ id: pairId(out, inn), out, in: inn, days: gap, status: 'detected' });
+      }
+    }
+    candidates.sort((a, b) => a.days - b.days || a.id.localeCompare(b.id));
+    for (const p of candidates){
+      if (used.has(p.out.id) || used.has(p.in.id)) continue;
+      used.add(p.out.id); used.add(p.in.id);
+      pairs.push(p);
+    }
+
+    for (const [id, status] of Object.entries(d)){
+      if (status !== 'rejected') continue;
+      const p = pairFor(id, 'rejected');
+      if (p) pairs.push(p);
+    }
+    return pairs;
+  }
+
+  // Mark both sides of every active pair (t.transfer = pair id) and clear the mark everywhere else
+  function apply(txns){
+    const pairs = detect(txns);
+    for (const t of txns) delete t.transfer;
+    for (const p of pairs){
+      if (p.status === 'rejected') continue;
+      p.out.transfer = p.id;
+      p.in.transfer = p.id;
+    }
+    return pairs;
+  }
+
+  function confirm(id){ load()[id] = 'confirmed'; save(); }
+  function reject(id){ load()[id] = 'rejected'; save(); }
+  // Forget the decision: the pair goes back to being detected (or not) automatically
+  function reset(id){ delete load()[id]; save(); }
+
+  window.SL_Transfers = { MAX_DAYS, detect, apply, confirm, reject, reset };
+})();
@@ -0,0 +1,68 @@
+// SL_Trends — categories × months: totals per month, the change on the prior month and on the
+// trailing average, and an inline SVG sparkline per category. Parents include everything below them.
+(function(){
+  const TRAILING = 3; // months in the trailing average
+
+  function addMonth(ym){
+    const [y, m] = ym.split('-').map(Number);
+    return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+  }
+
+  // txns → { months: ['YYYY-MM', …] (no gaps), series: Map(category → amount per month), rows: [[category, total]] }
+  function build(txns){
+    const byCat = new Map();
+    const totals = new Map();
+    let first = null, last = null;
+    for (const t of txns){
+      const d = parseDateSmart(t.date);
+      if (!d || isNaN(d)) continue;
+      const ym = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+      if (!first || ym < first) first = ym;
+      if (!last || ym > last) last = ym;
+      const cat = (t.category || 'UNCATEGORISED').toUpperCase();
+      const amount = Number(t.amount) || 0;
+      totals.set(cat, (totals.get(cat) || 0) + amount);
+      for (const c of SL_Categories.lineage(cat)){
+        if (!byCat.has(c)) byCat.set(c, new Map());
+        const m = byCat.get(c);
+        m.set(ym, (m.get(ym) || 0) + amount);
+      }
+    }
+    const months = [];
+    for (let m = first; m && m <= last; m = addMonth(m)) months.push(m);
+    const series = new Map([...byCat].map(([cat, m]) => [cat, months.map(ym => m.get(ym) || 0)]));
+    return { months, series, rows: [...totals] };
+  }
+
+  // Month i of a series against the month before it and against the average of the TRAILING months before it
+  function deltas(values, i){
+    const prev = i > 0 ? values[i - 1] : null;
+    const window = values.slice(Math.max(0, i - TRAILING), i);
+    const avg = window.length ? window.reduce((a, v) => a + v, 0) / window.length : null;
+    const pct = (base, diff) => base ? diff / Math.abs(base) * 100 : null;
+    return {
+      prev,
+      vsPrev: prev == null ? null : values[i] - prev,
+      vsPrevPct: prev == null ? null : pct(prev, values[i] - prev),
+      avg,
+      vsAvg: avg == null ? null : values[i] - avg,
+      vsAvgPct: avg == null ? null : pct(avg, values[i] - avg)
+    };
+  }
+
+  // Polyline over the values, with a dot on the latest month; zero line when the series crosses it
+  function sparkline(values, { width = 96, height = 24, pad = 2 } = {}){
+    if (!values.length) return '';
+    const min = Math.min(0, ...values), max = Math.max(0, ...values);
+    const span = max - min || 1;
+    const x = (i) => values.length === 1 ? width / 2 : pad + i * (width - pad * 2) / (values.length - 1);
+    const y = (v) => height - pad - (v - min) / span * (height - pad * 2);
+    const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+    const last = values.length - 1;
+    const zero = min < 0 ? `<line x1="0" x2="${width}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" class="spark-zero"/>` : '';
+    return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">${zero}` +
+      `<polyline points="${points}" fill="none"/><circle cx="${x(last).toFixed(1)}" cy="${y(values[last]).toFixed(1)}" r="2"/></svg>`;
+  }
+
+  window.SL_Trends = { TRAILING, build, deltas, sparkline };
+})();